@@ -1,17 +1,28 @@
 /**
  * AnnotationEditor
  * Fabric.js canvas overlay for annotating junction Street View images
- * with arrows, text labels, and highlights.
+ * with arrows, curved arrows, lane lines, freehand pen strokes, text
+ * labels, numbered callouts and highlights. Each annotation is anchored to
+ * a heading and pitch in the panorama and re-projected whenever the view
+ * moves, so it stays on the road it was drawn on. Annotations are kept in
+ * AnnotationStore.
  */
 const AnnotationEditor = (() => {
   'use strict';
 
-  const STORAGE_KEY = 'dbug-annotations';
+  // Undo steps kept per edit session
+  const HISTORY_LIMIT = 50;
+  // Custom object properties saved with the canvas
+  const EXTRA_PROPERTIES = ['anchor', 'calloutNumber'];
+  // Tools drawn by dragging from a start point to an end point
+  const DRAG_TOOLS = ['curve', 'lane'];
+  // Drags shorter than this (px) are taps, and draw nothing
+  const MIN_DRAG = 12;
 
   const SIZES = {
-    small:  { arrow: 60,  arrowHead: 10, text: 16, highlight: 30, stroke: 2 },
-    medium: { arrow: 100, arrowHead: 16, text: 22, highlight: 50, stroke: 3 },
-    large:  { arrow: 150, arrowHead: 22, text: 30, highlight: 75, stroke: 4 },
+    small:  { arrow: 60,  arrowHead: 10, text: 16, highlight: 30, stroke: 2, pen: 4, dash: 8,  callout: 12 },
+    medium: { arrow: 100, arrowHead: 16, text: 22, highlight: 50, stroke: 3, pen: 6, dash: 12, callout: 16 },
+    large:  { arrow: 150, arrowHead: 22, text: 30, highlight: 75, stroke: 4, pen: 9, dash: 18, callout: 22 },
   };
 
   let canvas = null;
@@ -21,6 +32,15 @@ const AnnotationEditor = (() => {
   let activeTool = null;
   let colour = '#ff3333';
   let size = 'medium';
+  let history = [];         // canvas JSON strings, oldest first
+  let historyIndex = -1;    // entry in history the canvas is showing
+  let restoring = false;    // loading a history entry, so don't record it
+  let changeListener = null;
+  let view = null;          // panorama { heading, pitch, zoom } the canvas is over
+  let homeView = null;      // view annotations without an anchor were drawn in
+  let drag = null;          // { start, points, preview } while drawing a drag tool
+  let readCount = 0;        // reads from the store so far; only the latest is shown
+  let enterCount = 0;       // calls to enter() so far
 
   /**
    * Create Fabric.js canvas, size to container.
@@ -49,15 +69,33 @@ const AnnotationEditor = (() => {
     canvas.setWidth(w);
     canvas.setHeight(h);
     canvas.calcOffset();
+    _projectAll();
+    canvas.renderAll();
+  }
+
+  /**
+   * Follow the panorama's camera. Call on every pov_changed and
+   * zoom_changed.
+   * @param {{heading: number, pitch: number, zoom: number}|null} pov
+   */
+  function setView(pov) {
+    view = pov ? { heading: pov.heading, pitch: pov.pitch, zoom: pov.zoom || 0 } : null;
+    if (!canvas) return;
+    _projectAll();
     canvas.renderAll();
   }
 
   /**
    * Enter edit mode for a junction.
+   * @param {string} junctionKey
+   * @param {Object} [junctionView] - the junction's usual view, which
+   *   annotations saved before anchoring were drawn in
+   * @returns {Promise<void>} resolves once its saved annotations are read
    */
-  function enter(junctionKey) {
+  async function enter(junctionKey, junctionView) {
     if (!canvas) return;
     currentKey = junctionKey;
+    homeView = junctionView || null;
     editing = true;
     activeTool = null;
 
@@ -65,22 +103,44 @@ const AnnotationEditor = (() => {
     const upperCanvas = containerEl.querySelector('.upper-canvas');
     if (upperCanvas) upperCanvas.style.pointerEvents = 'auto';
 
+    document.body.classList.add('editing');
+
+    // Nothing from the last junction stays on screen, or editable, while
+    // this one's annotations are read
+    canvas.clear();
+    _setReadOnly(true);
+
     // Load existing annotations if any
-    const data = _loadFromStorage(junctionKey);
+    const entry = ++enterCount;
+    const read = ++readCount;
+    const data = await _get(junctionKey);
+    if (read !== readCount) {
+      // Moved on before editing could start; unless a later enter() took
+      // over, leave edit mode again
+      if (editing && entry === enterCount) {
+        editing = false;
+        activeTool = null;
+        document.body.classList.remove('editing');
+        if (upperCanvas) upperCanvas.style.pointerEvents = 'none';
+      }
+      return;
+    }
     if (data && data.objects) {
       canvas.loadFromJSON(data.objects, () => {
+        _anchorLegacyObjects();
+        _projectAll();
         _setReadOnly(false);
         canvas.renderAll();
+        _resetHistory();
       });
     } else {
       canvas.clear();
       _setReadOnly(false);
+      _resetHistory();
     }
 
-    // Listen for clicks to place objects
-    canvas.on('mouse:down', _onCanvasClick);
-
-    document.body.classList.add('editing');
+    // Listen for clicks to place objects, edits and shortcuts
+    _setEditListeners(true);
   }
 
   /**
@@ -91,7 +151,8 @@ const AnnotationEditor = (() => {
     editing = false;
     activeTool = null;
 
-    canvas.off('mouse:down', _onCanvasClick);
+    _setEditListeners(false);
+    _clearHistory();
     document.body.classList.remove('editing');
 
     // Reload saved state or clear
@@ -107,21 +168,23 @@ const AnnotationEditor = (() => {
   }
 
   /**
-   * Serialize canvas to JSON, store in localStorage.
+   * Serialize canvas to JSON and store it, then leave edit mode. If it
+   * can't be stored the editor stays open, so nothing is lost.
+   * @returns {Promise<void>} rejects when storage is full
+   *   (AnnotationStore.isFullError) or otherwise fails
    */
-  function save() {
+  async function save() {
     if (!canvas || !currentKey) return;
 
-    const all = _getAllAnnotations();
-    all[currentKey] = {
-      objects: canvas.toJSON(),
+    await AnnotationStore.put(currentKey, {
+      objects: canvas.toJSON(EXTRA_PROPERTIES),
       updated: Date.now(),
-    };
-    _saveToStorage(all);
+    });
 
     editing = false;
     activeTool = null;
-    canvas.off('mouse:down', _onCanvasClick);
+    _setEditListeners(false);
+    _clearHistory();
     document.body.classList.remove('editing');
     _setReadOnly(true);
 
@@ -132,12 +195,18 @@ const AnnotationEditor = (() => {
 
   /**
    * Load + render saved annotations (read-only mode).
+   * @param {string} junctionKey
+   * @param {Object} [junctionView] - as for enter()
    */
-  function load(junctionKey) {
+  async function load(junctionKey, junctionView) {
     if (!canvas) return;
     currentKey = junctionKey;
+    if (junctionView) homeView = junctionView;
 
-    const data = _loadFromStorage(junctionKey);
+    const read = ++readCount;
+    const data = await _get(junctionKey);
+    // Moved on, or started editing, while it was read
+    if (read !== readCount) return;
     if (data && data.objects) {
       // Show the canvas
       const wrapper = containerEl.querySelector('.canvas-container');
@@ -146,6 +215,8 @@ const AnnotationEditor = (() => {
       if (upperCanvas) upperCanvas.style.pointerEvents = 'none';
 
       canvas.loadFromJSON(data.objects, () => {
+        _anchorLegacyObjects();
+        _projectAll();
         _setReadOnly(true);
         canvas.renderAll();
       });
@@ -155,12 +226,70 @@ const AnnotationEditor = (() => {
   }
 
   /**
-   * Clear all objects from canvas.
+   * Clear all objects from canvas. Can be undone while editing.
    */
   function clear() {
     if (!canvas) return;
     canvas.clear();
     canvas.renderAll();
+    _recordHistory();
+  }
+
+  /**
+   * Remove the selected objects.
+   */
+  function deleteSelected() {
+    if (!canvas || !editing) return;
+    const selected = canvas.getActiveObjects();
+    if (!selected.length) return;
+
+    const active = canvas.getActiveObject();
+    if (active && active.isEditing) active.exitEditing();
+    canvas.discardActiveObject();
+    selected.forEach(obj => canvas.remove(obj));
+    canvas.renderAll();
+    _recordHistory();
+  }
+
+  /**
+   * Step back through this edit session's changes. A text being typed
+   * is finished first, so the whole edit is undone in one go.
+   */
+  function undo() {
+    if (!canvas || !editing) return;
+    const active = canvas.getActiveObject();
+    if (active && active.isEditing) active.exitEditing();
+    if (historyIndex <= 0) return;
+    historyIndex--;
+    _restoreHistory();
+  }
+
+  /**
+   * Step forward again after undo().
+   */
+  function redo() {
+    if (!canvas || !editing || historyIndex >= history.length - 1) return;
+    historyIndex++;
+    _restoreHistory();
+  }
+
+  /**
+   * What the toolbar can offer right now.
+   * @returns {{canUndo: boolean, canRedo: boolean, hasSelection: boolean}}
+   */
+  function getEditState() {
+    return {
+      canUndo: editing && historyIndex > 0,
+      canRedo: editing && historyIndex >= 0 && historyIndex < history.length - 1,
+      hasSelection: editing && !!canvas && canvas.getActiveObjects().length > 0,
+    };
+  }
+
+  /**
+   * Set a callback for when getEditState() may have changed.
+   */
+  function setChangeListener(callback) {
+    changeListener = callback;
   }
 
   /**
@@ -168,6 +297,8 @@ const AnnotationEditor = (() => {
    */
   function hide() {
     if (!canvas) return;
+    // Don't let a read still in progress show them again
+    readCount++;
     canvas.clear();
     canvas.renderAll();
     const wrapper = containerEl.querySelector('.canvas-container');
@@ -186,6 +317,7 @@ const AnnotationEditor = (() => {
    */
   function setTool(tool) {
     activeTool = tool;
+    _updateBrush();
   }
 
   /**
@@ -193,6 +325,7 @@ const AnnotationEditor = (() => {
    */
   function setColour(c) {
     colour = c;
+    _updateBrush();
   }
 
   /**
@@ -200,14 +333,39 @@ const AnnotationEditor = (() => {
    */
   function setSize(s) {
     if (SIZES[s]) size = s;
+    _updateBrush();
   }
 
   /**
    * Check if annotations exist for a junction key.
    */
   function hasAnnotations(junctionKey) {
-    const data = _loadFromStorage(junctionKey);
-    return !!(data && data.objects && data.objects.objects && data.objects.objects.length > 0);
+    return AnnotationStore.has(junctionKey);
+  }
+
+  /**
+   * Saved annotations as an AnnotationPack, for writing to a file.
+   * @param {string[]} [junctionKeys] - only these junctions (default: all)
+   * @param {string} [label] - e.g. the route they were drawn for
+   * @returns {Promise<Object>}
+   */
+  async function exportPack(junctionKeys, label) {
+    return AnnotationPack.create(await AnnotationStore.getAll(junctionKeys), { keys: junctionKeys, label });
+  }
+
+  /**
+   * Merge a pack read with AnnotationPack.parse() into the saved annotations.
+   * @param {Object} pack
+   * @param {string} strategy - one of AnnotationPack.STRATEGIES
+   * @returns {Promise<{added: number, replaced: number, combined: number, kept: number}>}
+   *   rejects, with nothing imported, when storage is full
+   *   (AnnotationStore.isFullError) or otherwise fails
+   */
+  async function importPack(pack, strategy) {
+    const existing = await AnnotationStore.getAll(Object.keys(pack.annotations));
+    const { annotations, ...counts } = AnnotationPack.merge(existing, pack, strategy);
+    await AnnotationStore.putAll(annotations);
+    return counts;
   }
 
   // ---- Tool placement on canvas click ----
@@ -222,13 +380,144 @@ const AnnotationEditor = (() => {
     const x = pointer.x;
     const y = pointer.y;
 
+    if (DRAG_TOOLS.includes(activeTool)) {
+      drag = { start: { x, y }, points: [], preview: null };
+      return;
+    }
+
     switch (activeTool) {
       case 'arrow':  _placeArrow(x, y); break;
       case 'text':   _placeText(x, y); break;
       case 'highlight': _placeHighlight(x, y); break;
+      case 'callout': _placeCallout(x, y); break;
     }
   }
 
+  /**
+   * Redraw the drag tool's preview. Curved arrows bend through the point
+   * of the drag furthest from the straight line, so dragging round a
+   * roundabout draws the arc.
+   */
+  function _onCanvasMove(opt) {
+    if (!drag) return;
+    const end = canvas.getPointer(opt.e);
+    drag.points.push({ x: end.x, y: end.y });
+
+    if (drag.preview) canvas.remove(drag.preview);
+    drag.preview = _buildDragShape(end);
+    if (drag.preview) {
+      drag.preview.set({ selectable: false, evented: false, opacity: 0.6 });
+      canvas.add(drag.preview);
+    }
+    canvas.renderAll();
+  }
+
+  function _onCanvasUp(opt) {
+    if (!drag) return;
+    const end = canvas.getPointer(opt.e);
+    if (drag.preview) canvas.remove(drag.preview);
+    const shape = _buildDragShape(end);
+    drag = null;
+
+    if (!shape) {
+      canvas.renderAll();
+      return;
+    }
+    canvas.add(shape);
+    _anchor(shape);
+    canvas.setActiveObject(shape);
+    canvas.renderAll();
+    _recordHistory();
+  }
+
+  function _buildDragShape(end) {
+    const { start, points } = drag;
+    if (Math.hypot(end.x - start.x, end.y - start.y) < MIN_DRAG) return null;
+    if (activeTool === 'lane') return _buildLaneLine(start, end);
+
+    const through = points.reduce((furthest, point) =>
+      (!furthest || _distanceFromLine(point, start, end) > _distanceFromLine(furthest, start, end) ? point : furthest), null);
+    return _buildCurvedArrow(start, through || end, end);
+  }
+
+  /**
+   * Arrow along a quadratic curve from start to end through `through`,
+   * with the head turned along the curve's last stretch.
+   */
+  function _buildCurvedArrow(start, through, end) {
+    const s = SIZES[size];
+    // Control point that makes the curve pass through `through` halfway
+    const bends = _distanceFromLine(through, start, end) >= MIN_DRAG;
+    const control = bends
+      ? { x: 2 * through.x - (start.x + end.x) / 2, y: 2 * through.y - (start.y + end.y) / 2 }
+      : { x: (start.x + end.x) / 2, y: (start.y + end.y) / 2 };
+
+    const curve = new fabric.Path(
+      `M ${start.x} ${start.y} Q ${control.x} ${control.y} ${end.x} ${end.y}`,
+      {
+        fill: '',
+        stroke: colour,
+        strokeWidth: s.stroke,
+        strokeLineCap: 'round',
+        objectCaching: false,
+      }
+    );
+
+    const head = new fabric.Triangle({
+      width: s.arrowHead,
+      height: s.arrowHead,
+      fill: colour,
+      left: end.x,
+      top: end.y,
+      angle: Math.atan2(end.y - control.y, end.x - control.x) * 180 / Math.PI + 90,
+      originX: 'center',
+      originY: 'center',
+    });
+
+    return new fabric.Group([curve, head], { originX: 'center', originY: 'center' });
+  }
+
+  function _buildLaneLine(start, end) {
+    const s = SIZES[size];
+    return new fabric.Line([start.x, start.y, end.x, end.y], {
+      stroke: colour,
+      strokeWidth: s.stroke * 2,
+      strokeDashArray: [s.dash, s.dash],
+      strokeLineCap: 'butt',
+      originX: 'center',
+      originY: 'center',
+    });
+  }
+
+  // Perpendicular distance from `point` to the line through a and b
+  function _distanceFromLine(point, a, b) {
+    const length = Math.hypot(b.x - a.x, b.y - a.y);
+    if (length === 0) return Math.hypot(point.x - a.x, point.y - a.y);
+    return Math.abs((b.x - a.x) * (a.y - point.y) - (a.x - point.x) * (b.y - a.y)) / length;
+  }
+
+  /**
+   * Freehand strokes come from Fabric's drawing mode, switched on while
+   * the pen is the tool. Drag tools turn off the selection box, which
+   * would otherwise be drawn over the curve or lane being dragged.
+   */
+  function _updateBrush() {
+    if (!canvas) return;
+    canvas.isDrawingMode = editing && activeTool === 'pen';
+    canvas.selection = editing && !DRAG_TOOLS.includes(activeTool);
+    if (!canvas.freeDrawingBrush) canvas.freeDrawingBrush = new fabric.PencilBrush(canvas);
+    canvas.freeDrawingBrush.color = colour;
+    canvas.freeDrawingBrush.width = SIZES[size].pen;
+  }
+
+  function _onPathCreated(opt) {
+    const path = opt.path;
+    if (!path) return;
+    path.set({ strokeLineCap: 'round', strokeLineJoin: 'round' });
+    _anchor(path);
+    _recordHistory();
+  }
+
   function _placeArrow(x, y) {
     const s = SIZES[size];
     const lineLength = s.arrow;
@@ -262,8 +551,10 @@ const AnnotationEditor = (() => {
     });
 
     canvas.add(group);
+    _anchor(group);
     canvas.setActiveObject(group);
     canvas.renderAll();
+    _recordHistory();
   }
 
   function _placeText(x, y) {
@@ -283,10 +574,60 @@ const AnnotationEditor = (() => {
     });
 
     canvas.add(text);
+    _anchor(text);
     canvas.setActiveObject(text);
     text.enterEditing();
     text.selectAll();
     canvas.renderAll();
+    _recordHistory();
+  }
+
+  /**
+   * Numbered badge; each new one takes the next number on this junction.
+   */
+  function _placeCallout(x, y) {
+    const s = SIZES[size];
+    const number = _nextCalloutNumber();
+
+    const badge = new fabric.Circle({
+      radius: s.callout,
+      fill: colour,
+      stroke: '#ffffff',
+      strokeWidth: s.stroke,
+      originX: 'center',
+      originY: 'center',
+    });
+
+    const label = new fabric.Text(String(number), {
+      fontSize: Math.round(s.callout * 1.2),
+      fill: '#ffffff',
+      fontFamily: '-apple-system, BlinkMacSystemFont, sans-serif',
+      fontWeight: '700',
+      originX: 'center',
+      originY: 'center',
+    });
+
+    const group = new fabric.Group([badge, label], {
+      left: x,
+      top: y,
+      originX: 'center',
+      originY: 'center',
+      calloutNumber: number,
+    });
+
+    canvas.add(group);
+    _anchor(group);
+    canvas.setActiveObject(group);
+    canvas.renderAll();
+    _recordHistory();
+  }
+
+  function _nextCalloutNumber() {
+    let highest = 0;
+    canvas.forEachObject(obj => {
+      if (obj.calloutNumber > highest) highest = obj.calloutNumber;
+    });
+    return highest + 1;
   }
 
   function _placeHighlight(x, y) {
@@ -310,15 +651,246 @@ const AnnotationEditor = (() => {
     });
 
     canvas.add(circle);
+    _anchor(circle);
     canvas.setActiveObject(circle);
     canvas.renderAll();
+    _recordHistory();
+  }
+
+  // ---- Edit listeners ----
+
+  /**
+   * Moves, rotations and scales arrive as object:modified; typed text when
+   * editing ends. Adds, deletes and clears record themselves.
+   */
+  function _setEditListeners(enabled) {
+    const method = enabled ? 'on' : 'off';
+    canvas[method]('mouse:down', _onCanvasClick);
+    canvas[method]('mouse:move', _onCanvasMove);
+    canvas[method]('mouse:up', _onCanvasUp);
+    canvas[method]('path:created', _onPathCreated);
+    canvas[method]('object:modified', _onObjectModified);
+    canvas[method]('text:editing:exited', _recordHistory);
+    canvas[method]('selection:created', _notifyChange);
+    canvas[method]('selection:updated', _notifyChange);
+    canvas[method]('selection:cleared', _notifyChange);
+    if (enabled) {
+      document.addEventListener('keydown', _onKeyDown);
+    } else {
+      document.removeEventListener('keydown', _onKeyDown);
+      drag = null;
+    }
+    _updateBrush();
+  }
+
+  /**
+   * Ctrl+Z / Ctrl+Shift+Z (Cmd on a Mac) and Delete / Backspace. Keys
+   * typed into a text label or a toolbar field are left alone.
+   */
+  function _onKeyDown(e) {
+    if (!editing) return;
+    const active = canvas.getActiveObject();
+    const typing = !!(active && active.isEditing);
+    const inField = !typing && /^(INPUT|SELECT|TEXTAREA)$/.test(e.target.tagName);
+    if (inField) return;
+
+    if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'z') {
+      e.preventDefault();
+      if (e.shiftKey) {
+        redo();
+      } else {
+        undo();
+      }
+    } else if ((e.key === 'Delete' || e.key === 'Backspace') && !typing && canvas.getActiveObjects().length) {
+      e.preventDefault();
+      deleteSelected();
+    }
+  }
+
+  /**
+   * A moved, rotated or scaled object is re-anchored where it was left.
+   */
+  function _onObjectModified(opt) {
+    if (opt && opt.target) _anchor(opt.target);
+    _recordHistory();
+  }
+
+  // ---- Panorama anchoring ----
+
+  /**
+   * Pin an object to the heading and pitch under its centre in the
+   * current view, along with the scale it has at this zoom.
+   */
+  function _anchor(obj, atView) {
+    const fromView = atView || view;
+    if (!fromView) return;
+    const centre = obj.getCenterPoint();
+    const pov = _pixelToPov(centre.x, centre.y, fromView);
+    obj.anchor = {
+      heading: pov.heading,
+      pitch: pov.pitch,
+      focal: _getFocal(fromView),
+      scaleX: obj.scaleX,
+      scaleY: obj.scaleY,
+    };
+  }
+
+  /**
+   * Annotations saved as plain canvas pixels were drawn over the
+   * junction's usual view, so anchor them there.
+   */
+  function _anchorLegacyObjects() {
+    canvas.forEachObject(obj => {
+      if (!obj.anchor) _anchor(obj, homeView);
+    });
+  }
+
+  /**
+   * Place every anchored object where its heading and pitch now appear,
+   * scaled with the zoom. Objects behind the camera are hidden.
+   */
+  function _projectAll() {
+    if (!canvas || !view) return;
+    const focal = _getFocal(view);
+    canvas.forEachObject(obj => {
+      const anchor = obj.anchor;
+      if (!anchor) return;
+      const position = _povToPixel(anchor.heading, anchor.pitch, view);
+      obj.visible = !!position;
+      if (!position) return;
+      const ratio = focal / anchor.focal;
+      obj.set({ scaleX: anchor.scaleX * ratio, scaleY: anchor.scaleY * ratio });
+      obj.setPositionByOrigin(new fabric.Point(position.x, position.y), 'center', 'center');
+      obj.setCoords();
+    });
+  }
+
+  /**
+   * Horizontal field of view in degrees at a Street View zoom level, as
+   * measured for the Maps JS panorama.
+   */
+  function _getFov(zoom) {
+    return zoom <= 2 ? 126.5 - zoom * 36.75 : 195.93 / Math.pow(1.92, zoom);
+  }
+
+  // Pixels per unit of image plane at one unit from the camera
+  function _getFocal(atView) {
+    return (canvas.getWidth() / 2) / Math.tan(_toRadians(_getFov(atView.zoom || 0)) / 2);
+  }
+
+  /**
+   * Unit vectors for the camera: where it looks, its right and its up.
+   * Axes are x east, y up, z north.
+   */
+  function _getCameraAxes(atView) {
+    const heading = _toRadians(atView.heading);
+    const pitch = _toRadians(atView.pitch);
+    const forward = _direction(heading, pitch);
+    const right = [Math.cos(heading), 0, -Math.sin(heading)];
+    const up = [
+      forward[1] * right[2] - forward[2] * right[1],
+      forward[2] * right[0] - forward[0] * right[2],
+      forward[0] * right[1] - forward[1] * right[0],
+    ];
+    return { forward, right, up };
+  }
+
+  function _pixelToPov(x, y, atView) {
+    const focal = _getFocal(atView);
+    const { forward, right, up } = _getCameraAxes(atView);
+    const dx = (x - canvas.getWidth() / 2) / focal;
+    const dy = (canvas.getHeight() / 2 - y) / focal;
+    const ray = [0, 1, 2].map(i => forward[i] + dx * right[i] + dy * up[i]);
+    const length = Math.hypot(ray[0], ray[1], ray[2]);
+    return {
+      heading: (_toDegrees(Math.atan2(ray[0], ray[2])) + 360) % 360,
+      pitch: _toDegrees(Math.asin(ray[1] / length)),
+    };
+  }
+
+  /**
+   * Canvas position of a heading and pitch, or null when it is behind
+   * the camera.
+   */
+  function _povToPixel(heading, pitch, atView) {
+    const { forward, right, up } = _getCameraAxes(atView);
+    const ray = _direction(_toRadians(heading), _toRadians(pitch));
+    const depth = _dot(ray, forward);
+    if (depth <= 0.01) return null;
+    const focal = _getFocal(atView);
+    return {
+      x: canvas.getWidth() / 2 + focal * _dot(ray, right) / depth,
+      y: canvas.getHeight() / 2 - focal * _dot(ray, up) / depth,
+    };
+  }
+
+  function _direction(heading, pitch) {
+    return [Math.cos(pitch) * Math.sin(heading), Math.sin(pitch), Math.cos(pitch) * Math.cos(heading)];
+  }
+
+  function _dot(a, b) {
+    return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+  }
+
+  function _toRadians(degrees) {
+    return degrees * Math.PI / 180;
+  }
+
+  function _toDegrees(radians) {
+    return radians * 180 / Math.PI;
+  }
+
+  // ---- History ----
+
+  function _resetHistory() {
+    history = [JSON.stringify(canvas.toJSON(EXTRA_PROPERTIES))];
+    historyIndex = 0;
+    _notifyChange();
+  }
+
+  function _clearHistory() {
+    history = [];
+    historyIndex = -1;
+    _notifyChange();
+  }
+
+  /**
+   * Push the canvas as it is now, dropping anything that was undone.
+   * Nothing is recorded when the canvas hasn't actually changed.
+   */
+  function _recordHistory() {
+    if (!canvas || !editing || restoring || historyIndex < 0) return;
+    const state = JSON.stringify(canvas.toJSON(EXTRA_PROPERTIES));
+    if (state === history[historyIndex]) return;
+
+    history = history.slice(0, historyIndex + 1);
+    history.push(state);
+    if (history.length > HISTORY_LIMIT) history.shift();
+    historyIndex = history.length - 1;
+    _notifyChange();
+  }
+
+  function _restoreHistory() {
+    restoring = true;
+    canvas.discardActiveObject();
+    canvas.loadFromJSON(JSON.parse(history[historyIndex]), () => {
+      restoring = false;
+      _projectAll();
+      _setReadOnly(false);
+      canvas.renderAll();
+      _notifyChange();
+    });
+  }
+
+  function _notifyChange() {
+    if (changeListener) changeListener(getEditState());
   }
 
   // ---- Helpers ----
 
   function _setReadOnly(readonly) {
     if (!canvas) return;
-    canvas.selection = !readonly;
+    canvas.selection = !readonly && !DRAG_TOOLS.includes(activeTool);
     canvas.forEachObject(obj => {
       obj.selectable = !readonly;
       obj.evented = !readonly;
@@ -334,25 +906,12 @@ const AnnotationEditor = (() => {
     } : null;
   }
 
-  function _getAllAnnotations() {
-    try {
-      const raw = localStorage.getItem(STORAGE_KEY);
-      return raw ? JSON.parse(raw) : {};
-    } catch (e) {
-      return {};
-    }
-  }
-
-  function _loadFromStorage(key) {
-    const all = _getAllAnnotations();
-    return all[key] || null;
-  }
-
-  function _saveToStorage(all) {
+  async function _get(key) {
     try {
-      localStorage.setItem(STORAGE_KEY, JSON.stringify(all));
+      return await AnnotationStore.get(key);
     } catch (e) {
-      console.warn('AnnotationEditor: failed to save to localStorage', e);
+      console.warn('AnnotationEditor: failed to load annotations', e);
+      return null;
     }
   }
 
@@ -363,13 +922,21 @@ const AnnotationEditor = (() => {
     save,
     load,
     clear,
+    deleteSelected,
+    undo,
+    redo,
+    getEditState,
+    setChangeListener,
     hide,
     resize,
+    setView,
     isEditing,
     setTool,
     setColour,
     setSize,
     hasAnnotations,
+    exportPack,
+    importPack,
   };
 
 })();
@@ -0,0 +1,180 @@
+/**
+ * AnnotationPack
+ * Versioned JSON files of junction annotations, so they can be backed up,
+ * moved to another device or prepared by an instructor for a learner.
+ *
+ * Pack format:
+ *   { format: 'drivebeforeyougo-annotations', version: 1, exportedAt,
+ *     label, annotations: { [junctionKey]: { objects, updated } } }
+ * where objects is Fabric canvas JSON as AnnotationEditor saves it.
+ */
+const AnnotationPack = (() => {
+  'use strict';
+
+  const FORMAT = 'drivebeforeyougo-annotations';
+  const VERSION = 1;
+  // What to do when a junction in the pack already has annotations
+  const STRATEGIES = ['newer', 'both', 'overwrite'];
+
+  /**
+   * Build a pack from saved annotations.
+   * @param {Object} annotations - { [junctionKey]: { objects, updated } }
+   * @param {Object} [options]
+   * @param {string[]} [options.keys] - only these junctions (default: all)
+   * @param {string} [options.label] - e.g. the route, shown on import
+   * @returns {Object} pack, ready for JSON.stringify
+   */
+  function create(annotations, options = {}) {
+    const keys = options.keys || Object.keys(annotations || {});
+    const picked = {};
+    keys.forEach(key => {
+      const entry = annotations && annotations[key];
+      if (hasObjects(entry)) picked[key] = entry;
+    });
+    return {
+      format: FORMAT,
+      version: VERSION,
+      exportedAt: new Date().toISOString(),
+      label: options.label || '',
+      annotations: picked,
+    };
+  }
+
+  /**
+   * Read a pack from file text. Entries that aren't annotations are dropped.
+   * @param {string} text
+   * @returns {Object} pack
+   * @throws {Error} with a message for the user when it can't be used
+   */
+  function parse(text) {
+    let pack;
+    try {
+      pack = JSON.parse(text);
+    } catch (e) {
+      throw new Error('That file isn\'t an annotation pack (it isn\'t valid JSON).');
+    }
+    if (!pack || pack.format !== FORMAT || typeof pack.annotations !== 'object' || !pack.annotations) {
+      throw new Error('That file isn\'t a DriveBeforeYouGo annotation pack.');
+    }
+    if (typeof pack.version !== 'number' || pack.version > VERSION) {
+      throw new Error('This pack was made by a newer version of DriveBeforeYouGo. Update the app and try again.');
+    }
+
+    const annotations = {};
+    Object.keys(pack.annotations).forEach(key => {
+      const entry = pack.annotations[key];
+      if (!hasObjects(entry)) return;
+      annotations[key] = {
+        objects: entry.objects,
+        updated: typeof entry.updated === 'number' ? entry.updated : 0,
+      };
+    });
+    return {
+      format: FORMAT,
+      version: pack.version,
+      exportedAt: pack.exportedAt || null,
+      label: typeof pack.label === 'string' ? pack.label : '',
+      annotations,
+    };
+  }
+
+  /**
+   * Merge a pack into saved annotations. Neither argument is changed.
+   * @param {Object} existing - { [junctionKey]: { objects, updated } }
+   * @param {Object} pack - from parse()
+   * @param {string} strategy - 'newer' keeps whichever was edited last,
+   *   'both' draws the pack's annotations alongside the existing ones,
+   *   'overwrite' replaces the existing ones with the pack's
+   * @returns {{annotations: Object, added: number, replaced: number, combined: number, kept: number}}
+   */
+  function merge(existing, pack, strategy) {
+    if (!STRATEGIES.includes(strategy)) {
+      throw new Error(`Unknown merge strategy: ${strategy}`);
+    }
+    const annotations = { ...existing };
+    const result = { annotations, added: 0, replaced: 0, combined: 0, kept: 0 };
+
+    Object.keys(pack.annotations).forEach(key => {
+      const incoming = pack.annotations[key];
+      const current = annotations[key];
+
+      if (!hasObjects(current)) {
+        annotations[key] = incoming;
+        result.added++;
+      } else if (strategy === 'overwrite' || (strategy === 'newer' && incoming.updated > current.updated)) {
+        annotations[key] = incoming;
+        result.replaced++;
+      } else if (strategy === 'both') {
+        const combined = combine(current, incoming);
+        if (combined) {
+          annotations[key] = combined;
+          result.combined++;
+        } else {
+          result.kept++;
+        }
+      } else {
+        result.kept++;
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * The current annotations plus any of the incoming ones not already
+   * drawn, with incoming callouts numbered on from the current ones.
+   * Null when there's nothing new.
+   */
+  function combine(current, incoming) {
+    const currentObjects = current.objects.objects;
+    const seen = new Set(currentObjects.map(signature));
+    const extra = incoming.objects.objects.filter(obj => !seen.has(signature(obj)));
+    if (!extra.length) return null;
+
+    let offset = 0;
+    currentObjects.forEach(obj => {
+      if (obj.calloutNumber > offset) offset = obj.calloutNumber;
+    });
+
+    return {
+      objects: {
+        ...current.objects,
+        objects: currentObjects.concat(extra.map(obj => renumber(obj, offset))),
+      },
+      updated: Math.max(current.updated || 0, incoming.updated || 0),
+    };
+  }
+
+  function renumber(obj, offset) {
+    if (!obj.calloutNumber || !offset) return obj;
+    const number = obj.calloutNumber + offset;
+    return {
+      ...obj,
+      calloutNumber: number,
+      objects: (obj.objects || []).map(child => (
+        child.type === 'text' ? { ...child, text: String(number) } : child
+      )),
+    };
+  }
+
+  // Same annotation whatever number a callout was given
+  function signature(obj) {
+    if (!obj.calloutNumber) return JSON.stringify(obj);
+    return JSON.stringify({
+      ...obj,
+      calloutNumber: null,
+      objects: (obj.objects || []).map(child => (child.type === 'text' ? { ...child, text: '' } : child)),
+    });
+  }
+
+  function hasObjects(entry) {
+    return !!(entry && entry.objects && Array.isArray(entry.objects.objects) && entry.objects.objects.length > 0);
+  }
+
+  return { create, parse, merge, FORMAT, VERSION, STRATEGIES };
+
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AnnotationPack;
+}
@@ -0,0 +1,318 @@
+/**
+ * AnnotationStore
+ * Saves junction annotations in IndexedDB, one record per junction, so
+ * hundreds of annotated junctions fit where a single localStorage entry
+ * would not. Annotations saved by older versions under 'dbug-annotations'
+ * are moved across the first time the store is opened. Where IndexedDB
+ * can't be used (some private browsing modes, blocked site storage) those
+ * are still shown, but nothing can be saved.
+ *
+ * Records: { key, objects, updated, size } where objects is Fabric canvas
+ * JSON and size its length in characters. An index of every record (not
+ * its objects) is kept in memory so has() and list() answer at once.
+ */
+const AnnotationStore = (() => {
+  'use strict';
+
+  const DB_NAME = 'drivebeforeyougo';
+  const DB_VERSION = 1;
+  const STORE_NAME = 'annotations';
+  const LEGACY_STORAGE_KEY = 'dbug-annotations';
+
+  let opening = null;
+  let db = null;            // null until opened, and for good if IndexedDB fails
+  let unavailable = false;  // IndexedDB failed to open, so nothing can be saved
+  let index = new Map();    // key -> { key, updated, size, objectCount }
+  let legacy = {};          // old localStorage entries not moved across yet
+
+  /**
+   * Open the database and move any localStorage annotations into it.
+   * Safe to call more than once. Never rejects: if IndexedDB can't be
+   * used, isAvailable() turns false and the old entries are read-only.
+   * @returns {Promise<void>}
+   */
+  function open() {
+    if (!opening) {
+      opening = _openDatabase()
+        .then(async database => {
+          await _migrate(database);
+          index = await _readIndex(database);
+          db = database;
+        })
+        .catch(e => {
+          console.warn('AnnotationStore: IndexedDB is unavailable, annotations are read-only', e);
+          unavailable = true;
+          index = new Map();
+          legacy = _readLegacy() || {};
+        });
+    }
+    return opening;
+  }
+
+  /**
+   * Whether annotations can be saved. False once open() has found
+   * IndexedDB can't be used.
+   */
+  function isAvailable() {
+    return !unavailable;
+  }
+
+  /**
+   * Whether a junction has annotations. Answers false until open() resolves.
+   * @param {string} key
+   */
+  function has(key) {
+    return index.has(key) || key in legacy;
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<{objects: Object, updated: number}|null>}
+   */
+  async function get(key) {
+    await open();
+    const record = db && await _request(db.transaction(STORE_NAME).objectStore(STORE_NAME).get(key));
+    if (record) return { objects: record.objects, updated: record.updated };
+    return legacy[key] || null;
+  }
+
+  /**
+   * Saved annotations, keyed by junction.
+   * @param {string[]} [keys] - only these junctions (default: all)
+   * @returns {Promise<Object>} { [key]: { objects, updated } }
+   */
+  async function getAll(keys) {
+    await open();
+    const records = db ? await _request(db.transaction(STORE_NAME).objectStore(STORE_NAME).getAll()) : [];
+    const wanted = keys ? new Set(keys) : null;
+    const all = {};
+    Object.keys(legacy).forEach(key => {
+      if (!wanted || wanted.has(key)) all[key] = legacy[key];
+    });
+    records.forEach(record => {
+      if (!wanted || wanted.has(record.key)) all[record.key] = { objects: record.objects, updated: record.updated };
+    });
+    return all;
+  }
+
+  /**
+   * Save one junction's annotations. An entry with no objects removes it.
+   * @param {string} key
+   * @param {{objects: Object, updated: number}} entry
+   * @returns {Promise<void>} rejects when storage is full (see isFullError)
+   */
+  function put(key, entry) {
+    return putAll({ [key]: entry });
+  }
+
+  /**
+   * Save several junctions at once; either all are saved or none are.
+   * @param {Object} entries - { [key]: { objects, updated } }
+   * @returns {Promise<void>} rejects when storage is full (see isFullError)
+   *   or can't be used (see isAvailable)
+   */
+  async function putAll(entries) {
+    await _writable();
+    const tx = db.transaction(STORE_NAME, 'readwrite');
+    const store = tx.objectStore(STORE_NAME);
+    const changes = new Map();
+
+    Object.keys(entries).forEach(key => {
+      const record = _toRecord(key, entries[key]);
+      if (record.objectCount > 0) {
+        store.put(record);
+      } else {
+        store.delete(key);
+      }
+      changes.set(key, record);
+    });
+
+    await _complete(tx);
+    changes.forEach((record, key) => {
+      if (record.objectCount > 0) {
+        index.set(key, _toIndexEntry(record));
+      } else {
+        index.delete(key);
+      }
+    });
+    _dropLegacy([...changes.keys()]);
+  }
+
+  /**
+   * Delete junctions' annotations.
+   * @param {string[]} keys
+   * @returns {Promise<void>}
+   */
+  async function remove(keys) {
+    await _writable();
+    const tx = db.transaction(STORE_NAME, 'readwrite');
+    keys.forEach(key => tx.objectStore(STORE_NAME).delete(key));
+    await _complete(tx);
+    keys.forEach(key => index.delete(key));
+    _dropLegacy(keys);
+  }
+
+  /**
+   * Every annotated junction, for choosing what to delete.
+   * @returns {Array<{key: string, updated: number, size: number, objectCount: number}>}
+   */
+  function list() {
+    const entries = [...index.values()];
+    Object.keys(legacy).forEach(key => {
+      if (!index.has(key)) entries.push(_toIndexEntry(_toRecord(key, legacy[key])));
+    });
+    return entries;
+  }
+
+  /**
+   * How much the annotations take up, and how much the browser allows
+   * this site in all (null where it won't say).
+   * @returns {Promise<{junctions: number, size: number, usage: number|null, quota: number|null}>}
+   */
+  async function getUsage() {
+    const entries = list();
+    const usage = { junctions: entries.length, size: 0, usage: null, quota: null };
+    entries.forEach(entry => { usage.size += entry.size; });
+    if (typeof navigator !== 'undefined' && navigator.storage && navigator.storage.estimate) {
+      try {
+        const estimate = await navigator.storage.estimate();
+        usage.usage = estimate.usage;
+        usage.quota = estimate.quota;
+      } catch (e) {
+        // Size of the annotations alone is still worth showing
+      }
+    }
+    return usage;
+  }
+
+  /**
+   * Whether a failed save was because the device or browser is out of space.
+   * @param {*} err
+   */
+  function isFullError(err) {
+    return !!err && (err.name === 'QuotaExceededError' || err.name === 'NS_ERROR_DOM_QUOTA_REACHED');
+  }
+
+  async function _writable() {
+    await open();
+    if (!db) throw new Error('AnnotationStore: IndexedDB is unavailable, so annotations can\'t be saved');
+  }
+
+  function _openDatabase() {
+    if (typeof indexedDB === 'undefined') {
+      return Promise.reject(new Error('AnnotationStore: IndexedDB is not available'));
+    }
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const database = request.result;
+      if (!database.objectStoreNames.contains(STORE_NAME)) {
+        database.createObjectStore(STORE_NAME, { keyPath: 'key' });
+      }
+    };
+    return _request(request);
+  }
+
+  /**
+   * Copy the old localStorage entries in, keeping whichever copy of a
+   * junction is newer, then remove the old key. If they don't fit they
+   * stay in localStorage and are still shown; the move is tried again
+   * next time.
+   */
+  async function _migrate(database) {
+    const old = _readLegacy();
+    if (!old) return;
+
+    try {
+      const tx = database.transaction(STORE_NAME, 'readwrite');
+      const store = tx.objectStore(STORE_NAME);
+      Object.keys(old).forEach(key => {
+        const record = _toRecord(key, old[key]);
+        store.get(key).onsuccess = event => {
+          const existing = event.target.result;
+          if (!existing || existing.updated < record.updated) store.put(record);
+        };
+      });
+      await _complete(tx);
+      localStorage.removeItem(LEGACY_STORAGE_KEY);
+      legacy = {};
+    } catch (e) {
+      console.warn('AnnotationStore: could not move annotations out of localStorage', e);
+      legacy = old;
+    }
+  }
+
+  // Old localStorage entries that have annotations, or null when there are none
+  function _readLegacy() {
+    let old;
+    try {
+      old = JSON.parse(localStorage.getItem(LEGACY_STORAGE_KEY) || 'null');
+    } catch (e) {
+      return null;
+    }
+    if (!old || typeof old !== 'object') return null;
+
+    const entries = {};
+    Object.keys(old).forEach(key => {
+      if (_toRecord(key, old[key]).objectCount > 0) entries[key] = old[key];
+    });
+    return entries;
+  }
+
+  async function _readIndex(database) {
+    const records = await _request(database.transaction(STORE_NAME).objectStore(STORE_NAME).getAll());
+    return new Map(records.map(record => [record.key, _toIndexEntry(record)]));
+  }
+
+  // Forget old localStorage entries that have been saved over or deleted
+  function _dropLegacy(keys) {
+    if (!keys.some(key => key in legacy)) return;
+    keys.forEach(key => { delete legacy[key]; });
+    try {
+      if (Object.keys(legacy).length) {
+        localStorage.setItem(LEGACY_STORAGE_KEY, JSON.stringify(legacy));
+      } else {
+        localStorage.removeItem(LEGACY_STORAGE_KEY);
+      }
+    } catch (e) {
+      console.warn('AnnotationStore: failed to update old annotations', e);
+    }
+  }
+
+  function _toRecord(key, entry) {
+    const objects = (entry && entry.objects) || { objects: [] };
+    return {
+      key,
+      objects,
+      updated: (entry && entry.updated) || 0,
+      size: JSON.stringify(objects).length,
+      objectCount: Array.isArray(objects.objects) ? objects.objects.length : 0,
+    };
+  }
+
+  function _toIndexEntry(record) {
+    return { key: record.key, updated: record.updated, size: record.size, objectCount: record.objectCount };
+  }
+
+  function _request(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Resolves once a write transaction is on disk; rejects if it was aborted
+  function _complete(tx) {
+    return new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve();
+      tx.onerror = event => reject(event.target.error || tx.error);
+      tx.onabort = () => reject(tx.error || new DOMException('Transaction aborted', 'AbortError'));
+    });
+  }
+
+  return { open, isAvailable, has, get, getAll, put, putAll, remove, list, getUsage, isFullError };
+
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AnnotationStore;
+}
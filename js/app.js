@@ -16,16 +16,35 @@
   const originContainer   = document.getElementById('origin-container');
   const destContainer     = document.getElementById('dest-container');
   const swapBtn           = document.getElementById('swap-btn');
+  const stopsList         = document.getElementById('stops-list');
+  const addStopBtn        = document.getElementById('add-stop-btn');
   const findBtn           = document.getElementById('find-btn');
   const inputError        = document.getElementById('input-error');
+  const profileSelect     = document.getElementById('profile-select');
+  const profileHint       = document.getElementById('profile-hint');
+  const languageSelect    = document.getElementById('language-select');
+  const drivingSideSelect = document.getElementById('driving-side-select');
+  const drivingSideNote   = document.getElementById('driving-side-note');
   const landingCta        = document.getElementById('landing-cta');
+  const resumeBanner      = document.getElementById('resume-banner');
+  const resumeBtn         = document.getElementById('resume-btn');
+  const resumeDetail      = document.getElementById('resume-detail');
+  const resumeDiscardBtn  = document.getElementById('resume-discard-btn');
 
   const backBtn           = document.getElementById('back-btn');
   const routeSummaryText  = document.getElementById('route-summary-text');
+  const routeComparison   = document.getElementById('route-comparison');
+  const routeOptionsList  = document.getElementById('route-options');
   const junctionOverview  = document.getElementById('junction-overview');
   const junctionTotal     = document.getElementById('junction-total');
   const roundaboutTotal   = document.getElementById('roundabout-total');
   const junctionList      = document.getElementById('junction-list');
+  const difficultyReport  = document.getElementById('difficulty-report');
+  const difficultyValue   = document.getElementById('difficulty-value');
+  const difficultyLabel   = document.getElementById('difficulty-label');
+  const difficultyBreakdown = document.getElementById('difficulty-breakdown');
+  const densityChart      = document.getElementById('density-chart');
+  const densityAxisEnd    = document.getElementById('density-axis-end');
   const startRehearsalBtn = document.getElementById('start-rehearsal-btn');
   const debugPanel        = document.getElementById('debug-panel');
 
@@ -34,6 +53,9 @@
   const orientationOverlay = document.getElementById('orientation-overlay');
   const fingerOverlay      = document.getElementById('finger-overlay');
   const laneIndicator      = document.getElementById('lane-indicator');
+  const coverageFallback   = document.getElementById('coverage-fallback');
+  const miniMap            = document.getElementById('mini-map');
+  const coverageFallbackMap = document.getElementById('coverage-fallback-map');
   const laneIndicatorArrow = laneIndicator ? laneIndicator.querySelector('.lane-indicator-arrow') : null;
   const laneIndicatorLabel = laneIndicator ? laneIndicator.querySelector('.lane-indicator-label') : null;
   const junctionBadge      = document.getElementById('junction-badge');
@@ -43,6 +65,24 @@
   const prevBtn            = document.getElementById('prev-btn');
   const playPauseBtn       = document.getElementById('play-pause-btn');
   const nextBtn            = document.getElementById('next-btn');
+  const approachBtn        = document.getElementById('approach-btn');
+  const lookAroundBtn      = document.getElementById('look-around-btn');
+  const lookCaption        = document.getElementById('look-caption');
+  const quizBtn            = document.getElementById('quiz-btn');
+  const voiceBtn           = document.getElementById('voice-btn');
+  const repeatBtn          = document.getElementById('repeat-btn');
+  const abLoopBtn          = document.getElementById('ab-loop-btn');
+  const drillBtn           = document.getElementById('drill-btn');
+  const loopTimesSelect    = document.getElementById('loop-times');
+  const narrationSettings  = document.getElementById('narration-settings');
+  const voiceSelect        = document.getElementById('voice-select');
+  const voiceRateSelect    = document.getElementById('voice-rate-select');
+  const verbositySelect    = document.getElementById('verbosity-select');
+  const quizPanel          = document.getElementById('quiz-panel');
+  const quizQuestion       = document.getElementById('quiz-question');
+  const quizChoices        = document.getElementById('quiz-choices');
+  const quizResult         = document.getElementById('quiz-result');
+  const quizScore          = document.getElementById('quiz-score');
   const speedBtns          = document.querySelectorAll('.speed-btn');
   const progressBar        = document.getElementById('progress-bar');
 
@@ -52,6 +92,9 @@
   const toolBtns           = document.querySelectorAll('.tool-btn');
   const annoColour         = document.getElementById('anno-colour');
   const annoSize           = document.getElementById('anno-size');
+  const annoUndoBtn        = document.getElementById('anno-undo-btn');
+  const annoRedoBtn        = document.getElementById('anno-redo-btn');
+  const annoDeleteBtn      = document.getElementById('anno-delete-btn');
   const annoClearBtn       = document.getElementById('anno-clear-btn');
   const annoSaveBtn        = document.getElementById('anno-save-btn');
   const annoCancelBtn      = document.getElementById('anno-cancel-btn');
@@ -59,13 +102,56 @@
   const annoHelpDismiss    = document.getElementById('anno-help-dismiss');
   const toolbarHint        = document.getElementById('toolbar-hint');
 
+  // Annotation pack DOM refs
+  const packSummary        = document.getElementById('pack-summary');
+  const packExportRouteBtn = document.getElementById('pack-export-route-btn');
+  const packExportAllBtn   = document.getElementById('pack-export-all-btn');
+  const packMergeSelect    = document.getElementById('pack-merge-select');
+  const packImportBtn      = document.getElementById('pack-import-btn');
+  const packImportInput    = document.getElementById('pack-import-input');
+  const packStatus         = document.getElementById('pack-status');
+  const storageSummary     = document.getElementById('storage-summary');
+  const storageManageBtn   = document.getElementById('storage-manage-btn');
+  const storageOverlay     = document.getElementById('storage-overlay');
+  const storageError       = document.getElementById('storage-error');
+  const storageUsage       = document.getElementById('storage-usage');
+  const storageList        = document.getElementById('storage-list');
+  const storageExportBtn   = document.getElementById('storage-export-btn');
+  const storageCloseBtn    = document.getElementById('storage-close-btn');
+
   // ---- State ----
+  const PROFILE_STORAGE_KEY = 'dbug-driver-profile';
+  const LANGUAGE_STORAGE_KEY = 'dbug-language';
+  const DRIVING_SIDE_STORAGE_KEY = 'dbug-driving-side';
+  const APPROACH_STORAGE_KEY = 'dbug-approach-mode';
+  const LOOK_AROUND_STORAGE_KEY = 'dbug-look-around';
+  const QUIZ_STORAGE_KEY = 'dbug-quiz-mode';
+  const VOICE_STORAGE_KEY = 'dbug-voice-mode';
+  // `directions` is the language Google is asked for. The Gaeltacht option
+  // keeps English instructions but also reads Irish signage and place names.
+  const LANGUAGES = [
+    { id: 'en-GB', label: 'English',                  directions: 'en-GB' },
+    { id: 'ga',    label: 'English (Gaeltacht signs)', directions: 'en-IE' },
+    { id: 'fr',    label: 'Français',                 directions: 'fr' },
+    { id: 'de',    label: 'Deutsch',                  directions: 'de' },
+    { id: 'es',    label: 'Español',                  directions: 'es' },
+  ];
+  const MAX_STOPS = 5;
+  const ANNOTATIONS_UNAVAILABLE = 'Annotations can\'t be saved in this browser, usually because of private browsing or blocked site storage. Ones you saved before are still shown.';
   const debugMode = new URLSearchParams(window.location.search).get('debug') === '1';
   const envKey = (window.__ENV__ && window.__ENV__.GOOGLE_MAPS_API_KEY) || '';
+  const player = RehearsalPlayer.create();
   let directionsService = null;
   let decisionPoints = [];
+  let routeOptions = [];
+  let selectedRoute = null;
+  let selectedProfile = null;  // driver profile decisionPoints were picked with
+  let loopStart = null;   // point A while the user picks B for an A–B loop
+  let fallbackMap = null;
+  let fallbackMarker = null;
   let originPlace = null;
   let destPlace = null;
+  let stops = [];
   let rehearsalCompleted = false;
   let lingeredSnapshot = null;
 
@@ -74,6 +160,11 @@
 
   function boot() {
     registerServiceWorker();
+    setupProfileSelect();
+    setupLanguageSelect();
+    setupDrivingSideSelect();
+    setupNarrationSettings();
+    AnnotationStore.open().then(renderAnnotationPacks);
     const apiKey = envKey.trim();
     if (apiKey) {
       loadGoogleMaps(apiKey);
@@ -91,7 +182,8 @@
 
     // Bootstrap the async loader as recommended by Google
     const script = document.createElement('script');
-    script.src = `https://maps.googleapis.com/maps/api/js?key=${apiKey}&loading=async&libraries=places,geometry&callback=_mapsReady`;
+    const language = getLanguage().directions;
+    script.src = `https://maps.googleapis.com/maps/api/js?key=${apiKey}&loading=async&libraries=places,geometry&language=${language}&callback=_mapsReady`;
     script.async = true;
     script.onerror = () => {
       showError('Failed to load Google Maps. Check your API key and try again.');
@@ -114,6 +206,7 @@
     directionsService = new google.maps.DirectionsService();
     setupAutocomplete();
     bindEvents();
+    offerResume();
   }
 
   // ---- Places Autocomplete (new PlaceAutocompleteElement API) ----
@@ -141,29 +234,283 @@
     });
   }
 
+  // ---- Intermediate stops ----
+  function addStop() {
+    if (stops.length >= MAX_STOPS) return;
+
+    const group = document.createElement('div');
+    group.className = 'input-group stop-group';
+    group.innerHTML =
+      '<div class="stop-header">' +
+        '<label></label>' +
+        '<div class="stop-actions">' +
+          '<button type="button" class="stop-btn" data-action="up" aria-label="Move stop earlier">&#8593;</button>' +
+          '<button type="button" class="stop-btn" data-action="down" aria-label="Move stop later">&#8595;</button>' +
+          '<button type="button" class="stop-btn" data-action="remove" aria-label="Remove stop">&#10005;</button>' +
+        '</div>' +
+      '</div>';
+
+    const container = document.createElement('div');
+    container.className = 'autocomplete-container';
+    const autocomplete = new google.maps.places.PlaceAutocompleteElement();
+    container.appendChild(autocomplete);
+    group.appendChild(container);
+
+    const stop = { place: null, group, autocomplete };
+
+    autocomplete.addEventListener('gmp-placeselect', async (event) => {
+      const place = event.place;
+      await place.fetchFields({ fields: ['displayName', 'formattedAddress'] });
+      stop.place = place.formattedAddress || place.displayName;
+    });
+
+    group.querySelector('.stop-actions').addEventListener('click', (event) => {
+      const btn = event.target.closest('.stop-btn');
+      if (!btn) return;
+      const idx = stops.indexOf(stop);
+      if (btn.dataset.action === 'up' && idx > 0) {
+        stops.splice(idx - 1, 0, stops.splice(idx, 1)[0]);
+      } else if (btn.dataset.action === 'down' && idx < stops.length - 1) {
+        stops.splice(idx + 1, 0, stops.splice(idx, 1)[0]);
+      } else if (btn.dataset.action === 'remove') {
+        stops.splice(idx, 1);
+        group.remove();
+      }
+      renderStops();
+    });
+
+    stops.push(stop);
+    renderStops();
+  }
+
+  function renderStops() {
+    stops.forEach((stop, i) => {
+      stop.group.querySelector('label').textContent = 'Stop ' + (i + 1);
+      stop.group.querySelector('[data-action="up"]').disabled = i === 0;
+      stop.group.querySelector('[data-action="down"]').disabled = i === stops.length - 1;
+      stopsList.appendChild(stop.group);
+    });
+    addStopBtn.hidden = stops.length >= MAX_STOPS;
+  }
+
+  function getStopValue(stop) {
+    return stop.place || stop.autocomplete.value || '';
+  }
+
+  // ---- Driver profile ----
+  function setupProfileSelect() {
+    const profiles = RouteAnalyzer.getProfiles();
+    profileSelect.innerHTML = '';
+    profiles.forEach(profile => {
+      const option = document.createElement('option');
+      option.value = profile.id;
+      option.textContent = profile.label;
+      profileSelect.appendChild(option);
+    });
+
+    const saved = localStorage.getItem(PROFILE_STORAGE_KEY);
+    const isKnown = profiles.some(profile => profile.id === saved);
+    profileSelect.value = isKnown ? saved : RouteAnalyzer.DEFAULT_PROFILE;
+    updateProfileHint();
+
+    profileSelect.addEventListener('change', () => {
+      localStorage.setItem(PROFILE_STORAGE_KEY, profileSelect.value);
+      updateProfileHint();
+    });
+  }
+
+  function updateProfileHint() {
+    const profile = RouteAnalyzer.getProfiles().find(p => p.id === profileSelect.value);
+    profileHint.textContent = profile ? profile.description : '';
+  }
+
+  // ---- Directions language ----
+  function setupLanguageSelect() {
+    languageSelect.innerHTML = '';
+    LANGUAGES.forEach(language => {
+      const option = document.createElement('option');
+      option.value = language.id;
+      option.textContent = language.label;
+      languageSelect.appendChild(option);
+    });
+    languageSelect.value = getLanguage().id;
+
+    // The Maps JS API fixes its language when the script loads, so a
+    // change only takes effect on a fresh page
+    languageSelect.addEventListener('change', () => {
+      localStorage.setItem(LANGUAGE_STORAGE_KEY, languageSelect.value);
+      if (directionsService) window.location.reload();
+    });
+  }
+
+  function getLanguage() {
+    const saved = localStorage.getItem(LANGUAGE_STORAGE_KEY);
+    return LANGUAGES.find(language => language.id === saved) || LANGUAGES[0];
+  }
+
+  // ---- Driving side ----
+  function setupDrivingSideSelect() {
+    const saved = localStorage.getItem(DRIVING_SIDE_STORAGE_KEY);
+    if (saved === 'left' || saved === 'right') drivingSideSelect.value = saved;
+
+    drivingSideSelect.addEventListener('change', () => {
+      localStorage.setItem(DRIVING_SIDE_STORAGE_KEY, drivingSideSelect.value);
+    });
+  }
+
+  // ---- Narration ----
+  function setupNarrationSettings() {
+    if (!Narrator.isSupported()) {
+      narrationSettings.hidden = true;
+      voiceBtn.hidden = true;
+      return;
+    }
+
+    Narrator.init();
+    Narrator.setOptions({ lang: getLanguage().directions });
+    const narration = Narrator.getOptions();
+
+    Narrator.getVerbosityLevels().forEach(level => {
+      const option = document.createElement('option');
+      option.value = level.id;
+      option.textContent = level.label;
+      verbositySelect.appendChild(option);
+    });
+    verbositySelect.value = narration.verbosity;
+    voiceRateSelect.value = String(narration.rate);
+
+    // Voices arrive asynchronously in most browsers
+    renderVoiceOptions();
+    window.speechSynthesis.addEventListener('voiceschanged', renderVoiceOptions);
+
+    voiceSelect.addEventListener('change', () => Narrator.setOptions({ voiceURI: voiceSelect.value }));
+    voiceRateSelect.addEventListener('change', () => Narrator.setOptions({ rate: parseFloat(voiceRateSelect.value) }));
+    verbositySelect.addEventListener('change', () => Narrator.setOptions({ verbosity: verbositySelect.value }));
+  }
+
+  function renderVoiceOptions() {
+    voiceSelect.innerHTML = '<option value="">Default voice</option>';
+    Narrator.getVoices().forEach(voice => {
+      const option = document.createElement('option');
+      option.value = voice.voiceURI;
+      option.textContent = `${voice.name} (${voice.lang})`;
+      voiceSelect.appendChild(option);
+    });
+    voiceSelect.value = Narrator.getOptions().voiceURI;
+    if (voiceSelect.selectedIndex < 0) voiceSelect.value = '';
+  }
+
   // ---- Events ----
   function bindEvents() {
     journeyForm.addEventListener('submit', onSubmitJourney);
     swapBtn.addEventListener('click', onSwap);
+    addStopBtn.addEventListener('click', addStop);
     backBtn.addEventListener('click', goBackToInput);
     startRehearsalBtn.addEventListener('click', startRehearsal);
     if (landingCta) {
       landingCta.addEventListener('click', scrollToForm);
     }
 
-    prevBtn.addEventListener('click', () => RehearsalPlayer.prev());
-    nextBtn.addEventListener('click', () => RehearsalPlayer.next());
-    playPauseBtn.addEventListener('click', () => RehearsalPlayer.togglePlay());
+    player.on('update', onPlayerUpdate);
+    player.on('viewchange', view => AnnotationEditor.setView(view));
+    ['pointchange', 'speedchange', 'pause', 'dwellrecorded'].forEach(event => player.on(event, saveSessionPosition));
+    player.on('ended', ({ index }) => {
+      // Finished the whole route: nothing left to resume
+      if (index === decisionPoints.length - 1) SessionStore.clear();
+    });
+    // Quiz answers and the like since the last event
+    window.addEventListener('pagehide', saveSessionPosition);
+
+    resumeBtn.addEventListener('click', resumeSession);
+    resumeDiscardBtn.addEventListener('click', () => {
+      SessionStore.clear();
+      resumeBanner.hidden = true;
+    });
+
+    prevBtn.addEventListener('click', () => player.prev());
+    nextBtn.addEventListener('click', () => player.next());
+    playPauseBtn.addEventListener('click', () => player.togglePlay());
 
     speedBtns.forEach(btn => {
       btn.addEventListener('click', () => {
         const spd = parseFloat(btn.dataset.speed);
-        RehearsalPlayer.setSpeed(spd);
+        player.setSpeed(spd);
         speedBtns.forEach(b => b.classList.remove('active'));
         btn.classList.add('active');
       });
     });
 
+    setToggleButton(approachBtn, localStorage.getItem(APPROACH_STORAGE_KEY) === '1');
+    approachBtn.addEventListener('click', () => {
+      const enabled = !approachBtn.classList.contains('active');
+      localStorage.setItem(APPROACH_STORAGE_KEY, enabled ? '1' : '0');
+      setToggleButton(approachBtn, enabled);
+      player.setApproachMode(enabled);
+    });
+
+    setToggleButton(lookAroundBtn, localStorage.getItem(LOOK_AROUND_STORAGE_KEY) === '1');
+    lookAroundBtn.addEventListener('click', () => {
+      const enabled = !lookAroundBtn.classList.contains('active');
+      localStorage.setItem(LOOK_AROUND_STORAGE_KEY, enabled ? '1' : '0');
+      setToggleButton(lookAroundBtn, enabled);
+      player.setLookAround(enabled);
+    });
+
+    setToggleButton(quizBtn, localStorage.getItem(QUIZ_STORAGE_KEY) === '1');
+    quizBtn.addEventListener('click', () => {
+      const enabled = !quizBtn.classList.contains('active');
+      localStorage.setItem(QUIZ_STORAGE_KEY, enabled ? '1' : '0');
+      setToggleButton(quizBtn, enabled);
+      player.setQuizMode(enabled);
+    });
+
+    setToggleButton(voiceBtn, localStorage.getItem(VOICE_STORAGE_KEY) === '1');
+    voiceBtn.addEventListener('click', () => {
+      const enabled = !voiceBtn.classList.contains('active');
+      localStorage.setItem(VOICE_STORAGE_KEY, enabled ? '1' : '0');
+      setToggleButton(voiceBtn, enabled);
+      player.setNarration(enabled);
+    });
+
+    repeatBtn.addEventListener('click', () => {
+      const loop = player.getState().loop;
+      if (loop && loop.mode === 'repeat') {
+        player.clearLoop();
+      } else {
+        loopStart = null;
+        player.setRepeat(undefined, getLoopTimes());
+      }
+    });
+
+    abLoopBtn.addEventListener('click', () => {
+      const state = player.getState();
+      if (state.loop && state.loop.mode === 'range') {
+        player.clearLoop();
+      } else if (loopStart === null) {
+        loopStart = state.currentIndex;
+        renderLoopControls(state);
+      } else {
+        const start = loopStart;
+        loopStart = null;
+        player.setLoop(start, state.currentIndex, getLoopTimes());
+      }
+    });
+
+    drillBtn.addEventListener('click', () => {
+      const loop = player.getState().loop;
+      if (loop && loop.mode === 'drill') {
+        player.clearLoop();
+        return;
+      }
+      loopStart = null;
+      player.setDrill(getLoopTimes());
+    });
+
+    quizChoices.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-choice]');
+      if (btn) player.answerQuiz(btn.dataset.choice);
+    });
+
     // Annotation editor events
     annotateBtn.addEventListener('click', onAnnotateClick);
 
@@ -175,7 +522,11 @@
         // Update inline hint based on selected tool
         const hints = {
           arrow: 'Tap the image to place an arrow. Drag to move, handles to rotate.',
+          curve: 'Drag from where you start to where you end up. The arrow bends the way you drag.',
+          lane: 'Drag along the road to draw a dashed lane line.',
+          pen: 'Draw freehand with your finger or mouse.',
           text: 'Tap the image to add a text label. Click it to edit the text.',
+          callout: 'Tap the image to place the next numbered callout.',
           highlight: 'Tap the image to place a highlight circle. Drag to reposition.',
         };
         toolbarHint.textContent = hints[btn.dataset.tool] || 'Select a tool, then tap the image to place it';
@@ -190,6 +541,11 @@
       AnnotationEditor.setSize(annoSize.value);
     });
 
+    AnnotationEditor.setChangeListener(renderAnnotationHistory);
+    annoUndoBtn.addEventListener('click', () => AnnotationEditor.undo());
+    annoRedoBtn.addEventListener('click', () => AnnotationEditor.redo());
+    annoDeleteBtn.addEventListener('click', () => AnnotationEditor.deleteSelected());
+
     annoClearBtn.addEventListener('click', () => {
       AnnotationEditor.clear();
     });
@@ -204,6 +560,18 @@
     window.addEventListener('resize', () => {
       AnnotationEditor.resize();
     });
+
+    packExportRouteBtn.addEventListener('click', () => {
+      exportAnnotationPack(decisionPoints.map(getJunctionKey), formatRouteEnds(selectedRoute));
+    });
+    packExportAllBtn.addEventListener('click', () => exportAnnotationPack());
+    packImportBtn.addEventListener('click', () => packImportInput.click());
+    packImportInput.addEventListener('change', onPackImport);
+    storageManageBtn.addEventListener('click', () => openStorageManager());
+    storageExportBtn.addEventListener('click', () => exportAnnotationPack());
+    storageCloseBtn.addEventListener('click', () => {
+      storageOverlay.hidden = true;
+    });
   }
 
   function onSwap() {
@@ -218,6 +586,9 @@
       originContainer.appendChild(destChild);
       destContainer.appendChild(originChild);
     }
+    // Driving the journey backwards visits the stops in reverse
+    stops.reverse();
+    renderStops();
   }
 
   // ---- Journey Submission ----
@@ -238,14 +609,21 @@
       return;
     }
 
+    if (stops.some(stop => !getStopValue(stop))) {
+      showError('Please fill in or remove the empty stop.');
+      return;
+    }
+
     showScreen('loading');
     setLoading('Planning your route...');
 
+    // Google ignores provideRouteAlternatives when waypoints are set
     directionsService.route({
       origin: origin,
       destination: dest,
+      waypoints: stops.map(stop => ({ location: getStopValue(stop), stopover: true })),
       travelMode: google.maps.TravelMode.DRIVING,
-      provideRouteAlternatives: false,
+      provideRouteAlternatives: true,
     }).then(
       function (result) { onDirectionsResult(result, 'OK'); },
       function (err) {
@@ -266,31 +644,108 @@
     setLoading('Analyzing junctions...');
 
     setTimeout(() => {
-      const route = result.routes[0];
-      decisionPoints = RouteAnalyzer.analyze(result);
+      const normalized = RouteProviders.fromGoogle(result, { language: getLanguage().id });
+      selectedProfile = profileSelect.value;
+      routeOptions = RouteAnalyzer.analyzeAll(normalized, {
+        profile: selectedProfile,
+        drivingSide: drivingSideSelect.value,
+      });
 
-      if (decisionPoints.length === 0) {
+      if (!routeOptions.some(option => option.points.length > 0)) {
         showScreen('input');
         showError('No complex junctions found on this route. It looks like a straightforward drive!');
         return;
       }
 
-      renderJunctionOverview(decisionPoints, route);
+      if (routeOptions.length > 1) {
+        renderRouteComparison(routeOptions);
+      } else {
+        selectRouteOption(routeOptions[0]);
+      }
       showScreen('player');
     }, 300);
   }
 
+  // ---- Route Comparison ----
+  function renderRouteComparison(options) {
+    routeSummaryText.textContent = formatRouteEnds(options[0].route);
+    routeOptionsList.innerHTML = '';
+
+    const sorted = [...options].sort((a, b) => a.summary.difficulty - b.summary.difficulty);
+    const easiest = sorted[0];
+
+    sorted.forEach(option => {
+      const { summary } = option;
+      const card = document.createElement('div');
+      card.className = 'route-option' + (option === easiest ? ' easiest' : '');
+
+      const via = option.route.summary ? 'via ' + option.route.summary : 'Route ' + (option.routeIndex + 1);
+      const meta = [formatDistance(summary.distanceMeters), formatDuration(summary.durationSeconds)]
+        .filter(Boolean)
+        .join(' · ');
+
+      card.innerHTML =
+        '<div class="route-option-title">' + escapeHtml(via) +
+          (option === easiest ? ' <span class="route-option-badge">Easiest</span>' : '') +
+        '</div>' +
+        '<div class="route-option-meta">' + meta + '</div>' +
+        '<div class="route-option-stats">' +
+          '<div><strong>' + summary.difficulty + '</strong><span>' + summary.difficultyLabel + '</span></div>' +
+          '<div><strong>' + summary.roundaboutCount + '</strong><span>Roundabouts</span></div>' +
+          '<div><strong>' + summary.highCommitmentCount + '</strong><span>High commitment</span></div>' +
+        '</div>';
+
+      const chooseBtn = document.createElement('button');
+      chooseBtn.type = 'button';
+      chooseBtn.className = 'btn-primary';
+      if (option.points.length) {
+        chooseBtn.textContent = 'Rehearse this route';
+        chooseBtn.addEventListener('click', () => selectRouteOption(option));
+      } else {
+        chooseBtn.textContent = 'Nothing to rehearse';
+        chooseBtn.disabled = true;
+      }
+      card.appendChild(chooseBtn);
+      routeOptionsList.appendChild(card);
+    });
+
+    routeComparison.hidden = false;
+    junctionOverview.hidden = true;
+    rehearsalView.hidden = true;
+  }
+
+  function selectRouteOption(option) {
+    decisionPoints = option.points;
+    selectedRoute = option.route;
+    routeComparison.hidden = true;
+    renderJunctionOverview(decisionPoints, option.route, option.steps);
+  }
+
   // ---- Junction Overview ----
-  function renderJunctionOverview(points, route) {
+  /**
+   * @param {Array} points - the junctions to rehearse
+   * @param {Object} route
+   * @param {Array} steps - every scored junction (RouteAnalyzer.scoreRoute),
+   *   for the whole-route rating and chart
+   */
+  function renderJunctionOverview(points, route, steps) {
     routeSummaryText.textContent = formatRouteSummary(route);
 
     junctionTotal.textContent = points.length;
     roundaboutTotal.textContent = points.filter(pt => pt.type === 'roundabout').length;
+    drivingSideNote.textContent = formatDrivingSide(points.length ? points[0].drivingSide : null);
+    renderDifficultyReport(RouteAnalyzer.rate(steps, route), route);
     junctionList.innerHTML = '';
+    const hasLegs = route.legs.length > 1;
 
     points.forEach((pt, i) => {
+      if (hasLegs && (i === 0 || points[i - 1].legIndex !== pt.legIndex)) {
+        appendLegHeadings(route, points, i === 0 ? 0 : points[i - 1].legIndex + 1, pt.legIndex);
+      }
+
       const card = document.createElement('div');
       card.className = 'junction-card';
+      card.dataset.index = i;
       card.addEventListener('click', () => {
         startRehearsal(i);
       });
@@ -300,35 +755,188 @@
         '<div class="details">' +
           '<div class="instruction">' + pt.instruction + '</div>' +
           '<span class="type-tag ' + pt.type + '">' + pt.typeLabel + '</span>' +
+          renderWhyTricky(pt) +
         '</div>';
+      const whyTricky = card.querySelector('.why-tricky');
+      if (whyTricky) {
+        // Opening the explanation shouldn't start the rehearsal
+        whyTricky.addEventListener('click', (e) => e.stopPropagation());
+      }
       junctionList.appendChild(card);
     });
 
+    if (hasLegs) {
+      const lastLegWithPoints = points.length ? points[points.length - 1].legIndex : -1;
+      appendLegHeadings(route, points, lastLegWithPoints + 1, route.legs.length - 1);
+    }
+
     junctionOverview.hidden = false;
     rehearsalView.hidden = true;
 
     renderDebugPanel(points, false);
+    renderAnnotationPacks();
+    checkCoverage(points).catch(err => console.warn('Street View coverage check failed:', err));
+  }
+
+  // ---- Street View coverage ----
+  async function checkCoverage(points) {
+    await StreetViewCoverage.check(points);
+    if (points !== decisionPoints) return; // another route was chosen meanwhile
+
+    junctionList.querySelectorAll('.junction-card').forEach(card => {
+      const pt = points[card.dataset.index];
+      if (!pt || pt.coverage !== 'none' || card.querySelector('.no-coverage')) return;
+      const tag = document.createElement('span');
+      tag.className = 'type-tag no-coverage';
+      tag.textContent = 'No Street View';
+      tag.title = 'No imagery here — the rehearsal shows a map instead';
+      card.querySelector('.type-tag').after(tag);
+    });
+  }
+
+  /**
+   * Show a map in place of the panorama at points with no imagery.
+   */
+  function updateCoverageFallback(point) {
+    const showFallback = Boolean(point) && point.coverage === 'none';
+    coverageFallback.hidden = !showFallback;
+    if (!showFallback) return;
+
+    const center = { lat: point.lat, lng: point.lng };
+    if (!fallbackMap) {
+      fallbackMap = new google.maps.Map(coverageFallbackMap, {
+        center,
+        zoom: 18,
+        mapTypeId: 'hybrid',
+        disableDefaultUI: true,
+        gestureHandling: 'cooperative',
+      });
+      fallbackMarker = new google.maps.Marker({ map: fallbackMap, position: center });
+    }
+    fallbackMap.setCenter(center);
+    fallbackMarker.setPosition(center);
+  }
+
+  // Plain-language explanation for each scoring factor
+  const FACTOR_EXPLANATIONS = {
+    'lane-commitment':  'You need to be in the right lane before you get there, and changing late is hard.',
+    'roundabout':       'Roundabouts mean judging gaps and tracking your exit while you go round.',
+    'roundabout-exit':  'You have to count exits, so it helps to know which one is yours.',
+    'small-roundabout': 'It is a small roundabout, which is quicker to get through than a large one.',
+    'short-window':     'The next maneuver comes up quickly, leaving little time to get ready.',
+    'sharp-angle':      'The turn is much tighter than the directions make it sound.',
+    'acute-merge':      'The road joins at a steep angle, so checking over your shoulder is awkward.',
+    'dog-leg':          'Two opposite turns come close together, so you turn again almost straight away.',
+    'signage':          'Lots of road numbers and destinations to read on the signs.',
+    'pressure':         'Busy destinations mean heavier traffic and drivers who know the way.',
+  };
+
+  function renderWhyTricky(pt) {
+    const factors = (pt.factors || []).filter(factor => FACTOR_EXPLANATIONS[factor.reason]);
+    if (!factors.length) return '';
+
+    const items = factors.map(factor => {
+      const points = factor.points > 0 ? `+${factor.points}` : String(factor.points);
+      const matched = factor.matched
+        ? ` <span class="why-matched">“${escapeHtml(factor.matched)}”</span>`
+        : '';
+      return '<li>' +
+        `<span class="why-points">${points}</span>` +
+        `<span class="why-text">${FACTOR_EXPLANATIONS[factor.reason]}${matched}</span>` +
+      '</li>';
+    }).join('');
+
+    return '<details class="why-tricky">' +
+      '<summary>Why is this tricky?</summary>' +
+      `<ul class="why-list">${items}</ul>` +
+      `<div class="why-total">Score ${pt.score}</div>` +
+    '</details>';
+  }
+
+  function renderDifficultyReport(rating, route) {
+    difficultyValue.textContent = rating.score;
+    difficultyLabel.textContent = rating.label;
+    difficultyLabel.className = 'difficulty-label ' + rating.label.toLowerCase();
+
+    const maxCount = Math.max(1, ...rating.breakdown.map(item => item.count));
+    difficultyBreakdown.innerHTML = '';
+    rating.breakdown.forEach(item => {
+      const row = document.createElement('li');
+      row.innerHTML =
+        '<span>' + item.label + '</span>' +
+        '<span class="breakdown-bar"><span style="width:' + Math.round((item.count / maxCount) * 100) + '%"></span></span>' +
+        '<span class="breakdown-count">' + item.count + '</span>';
+      difficultyBreakdown.appendChild(row);
+    });
+
+    const { values, bucketKm } = rating.density;
+    const maxValue = Math.max(1, ...values);
+    densityChart.innerHTML = '';
+    values.forEach((value, i) => {
+      const bar = document.createElement('div');
+      bar.className = 'density-bar';
+      bar.style.height = Math.round((value / maxValue) * 100) + '%';
+      bar.title = `${i * bucketKm}–${(i + 1) * bucketKm} km · score ${value}`;
+      densityChart.appendChild(bar);
+    });
+    densityAxisEnd.textContent = formatDistance(RouteAnalyzer.summarize([], route).distanceMeters);
+
+    difficultyReport.hidden = false;
+  }
+
+  /**
+   * Append headings for legs fromLeg..toLeg (inclusive) to the junction list.
+   */
+  function appendLegHeadings(route, points, fromLeg, toLeg) {
+    for (let legIndex = fromLeg; legIndex <= toLeg; legIndex++) {
+      const leg = route.legs[legIndex];
+      const count = points.filter(pt => pt.legIndex === legIndex).length;
+      const start = formatPlace(leg.startAddress, legIndex === 0 ? 'Start' : `Stop ${legIndex}`);
+      const end = formatPlace(leg.endAddress, legIndex === route.legs.length - 1 ? 'Destination' : `Stop ${legIndex + 1}`);
+      const meta = [
+        formatDistance(leg.distanceMeters),
+        formatDuration(leg.durationSeconds),
+        count ? `${count} tricky junction${count === 1 ? '' : 's'}` : 'no tricky junctions',
+      ].filter(Boolean).join(' · ');
+
+      const heading = document.createElement('div');
+      heading.className = 'leg-heading';
+      heading.innerHTML =
+        '<div class="leg-title">Leg ' + (legIndex + 1) + ': ' + escapeHtml(start) + ' → ' + escapeHtml(end) + '</div>' +
+        '<div class="leg-meta">' + meta + '</div>';
+      junctionList.appendChild(heading);
+    }
   }
 
   function formatRouteSummary(route) {
+    if (!route || !route.legs || route.legs.length === 0) return '';
+    const summary = RouteAnalyzer.summarize([], route);
+    return `${formatRouteEnds(route)} · ${formatDistance(summary.distanceMeters)} · ${formatDuration(summary.durationSeconds)}`;
+  }
+
+  function formatDrivingSide(side) {
+    if (side === 'left') return 'Drive on the left · roundabouts go clockwise';
+    if (side === 'right') return 'Drive on the right · roundabouts go anticlockwise';
+    return '';
+  }
+
+  function formatRouteEnds(route) {
     if (!route || !route.legs || route.legs.length === 0) return '';
     const firstLeg = route.legs[0];
     const lastLeg = route.legs[route.legs.length - 1];
-    const start = (firstLeg.start_address || '').split(',')[0];
-    const end = (lastLeg.end_address || '').split(',')[0];
-
-    let totalDistance = 0;
-    let totalDuration = 0;
-    route.legs.forEach(leg => {
-      if (leg.distance && typeof leg.distance.value === 'number') {
-        totalDistance += leg.distance.value;
-      }
-      if (leg.duration && typeof leg.duration.value === 'number') {
-        totalDuration += leg.duration.value;
-      }
-    });
+    const start = formatPlace(firstLeg.startAddress, 'Start');
+    const end = formatPlace(lastLeg.endAddress, 'Destination');
+    const stopCount = route.legs.length - 1;
+    const via = stopCount > 0 ? ` (${stopCount} stop${stopCount === 1 ? '' : 's'})` : '';
+    return `${start} → ${end}${via}`;
+  }
 
-    return `${start} → ${end} · ${formatDistance(totalDistance)} · ${formatDuration(totalDuration)}`;
+  /**
+   * First part of an address ("Oxford OX3, UK" -> 'Oxford OX3'), or the
+   * fallback label for providers that leave stops unnamed.
+   */
+  function formatPlace(address, fallback) {
+    return (address || '').split(',')[0].trim() || fallback;
   }
 
   function formatDistance(meters) {
@@ -355,23 +963,51 @@
 
     junctionOverview.hidden = true;
     rehearsalView.hidden = false;
+    SessionStore.start({
+      label: formatRouteEnds(selectedRoute),
+      route: selectedRoute,
+      points: decisionPoints,
+      profile: selectedProfile,
+    });
 
-    RehearsalPlayer.init(streetviewContainer, decisionPoints, onPlayerUpdate);
+    player.setApproachMode(approachBtn.classList.contains('active'));
+    player.setLookAround(lookAroundBtn.classList.contains('active'));
+    player.setQuizMode(quizBtn.classList.contains('active'));
+    player.setNarration(Narrator.isSupported() && voiceBtn.classList.contains('active'));
+    MiniMap.init(miniMap, selectedRoute, decisionPoints, index => player.goTo(index));
+    player.init(streetviewContainer, decisionPoints);
     AnnotationEditor.init('annotation-canvas', streetviewContainer);
+    AnnotationEditor.setView(player.getView());
 
     if (idx > 0) {
-      RehearsalPlayer.goTo(idx);
+      player.goTo(idx);
     }
   }
 
   // ---- Player UI Updates ----
   function onPlayerUpdate(state) {
-    junctionBadge.textContent = (state.currentIndex + 1) + ' / ' + state.total;
-    junctionDescription.textContent = state.point ? state.point.instruction : '';
+    junctionBadge.textContent = (state.currentIndex + 1) + ' / ' + state.total +
+      (state.isApproaching ? ` · ${state.metersToJunction} m to go` : '') +
+      (state.loop ? ` · ${formatLoopPass(state.loop)}` : '');
+    // An unanswered quiz hides everything that gives the answer away
+    const quizPending = Boolean(state.quiz) && state.quiz.picked === null;
+    junctionDescription.textContent = !state.point ? ''
+      : quizPending ? 'What do you need to do here?'
+      : state.point.instruction;
+    renderQuiz(state);
 
     if (state.point) {
       junctionTypeTag.textContent = state.point.typeLabel;
       junctionTypeTag.className = 'junction-type-tag type-tag ' + state.point.type;
+    }
+
+    lookCaption.hidden = !state.isLookingAround;
+    lookCaption.textContent = state.lookCaption;
+
+    // Overlays belong to the junction's own view, not the
+    // road up to it or a glance elsewhere
+    const atJunctionView = !state.isApproaching && !state.isLookingAround;
+    if (state.point && atJunctionView && !quizPending) {
       decisionLabel.hidden = !state.point.isDecisionPoint;
       const showOrientation =
         state.point.commitmentLevel === 'high' &&
@@ -401,11 +1037,17 @@
       laneIndicator.hidden = true;
     }
 
-    // Load annotations for current junction (read-only) unless editing
+    updateCoverageFallback(state.isApproaching ? null : state.point);
+    MiniMap.update(state);
+    renderLoopControls(state);
+
+    // Load annotations for current junction (read-only) unless editing.
+    // They are anchored in the junction's panorama, so they stay on during
+    // look-around but not on the approach
     if (!AnnotationEditor.isEditing()) {
-      const key = getJunctionKey(state.point);
+      const key = !state.isApproaching && !quizPending ? getJunctionKey(state.point) : null;
       if (key && AnnotationEditor.hasAnnotations(key)) {
-        AnnotationEditor.load(key);
+        AnnotationEditor.load(key, getJunctionView(state.point));
       } else {
         AnnotationEditor.hide();
       }
@@ -434,9 +1076,140 @@
     }
   }
 
+  // ---- Quiz ----
+  function renderQuiz(state) {
+    const quiz = state.quiz;
+    quizPanel.hidden = !quiz;
+    if (quiz) {
+      quizQuestion.textContent = quiz.question;
+      quizChoices.innerHTML = '';
+      quiz.choices.forEach(choice => {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'quiz-choice';
+        btn.dataset.choice = choice.id;
+        btn.textContent = choice.label;
+        if (quiz.picked !== null) {
+          btn.disabled = true;
+          if (choice.id === quiz.answer) btn.classList.add('correct');
+          else if (choice.id === quiz.picked) btn.classList.add('wrong');
+        }
+        quizChoices.appendChild(btn);
+      });
+
+      const answer = quiz.choices.find(choice => choice.id === quiz.answer);
+      quizResult.hidden = quiz.picked === null;
+      quizResult.textContent = quiz.isCorrect ? 'Correct!' : `Not quite: it's ${answer ? answer.label.toLowerCase() : ''}.`;
+      quizResult.className = 'quiz-result ' + (quiz.isCorrect ? 'correct' : 'wrong');
+    }
+
+    const score = state.quizScore;
+    quizScore.hidden = !score || score.total === 0;
+    if (score) {
+      const finished = state.isLast && (!quiz || quiz.picked !== null);
+      quizScore.textContent = `Quiz ${score.correct} / ${score.total}` +
+        (finished ? ` · ${formatReadiness(score)}` : '');
+    }
+  }
+
+  function formatReadiness(score) {
+    const ratio = score.total ? score.correct / score.total : 0;
+    if (ratio >= 0.8) return 'Ready for the real thing';
+    if (ratio >= 0.5) return 'Nearly there: one more run?';
+    return 'Worth another rehearsal';
+  }
+
+  // ---- Repeat, loop and drill ----
+  function renderLoopControls(state) {
+    const mode = state.loop ? state.loop.mode : null;
+    setToggleButton(repeatBtn, mode === 'repeat');
+    setToggleButton(drillBtn, mode === 'drill');
+    setToggleButton(abLoopBtn, mode === 'range' || loopStart !== null);
+    if (loopStart !== null) {
+      abLoopBtn.textContent = `A = ${loopStart + 1}, set B`;
+    } else if (mode === 'range') {
+      const indices = state.loop.indices;
+      abLoopBtn.textContent = `Loop ${indices[0] + 1}–${indices[indices.length - 1] + 1}`;
+    } else {
+      abLoopBtn.textContent = 'A–B loop';
+    }
+  }
+
+  function getLoopTimes() {
+    return parseInt(loopTimesSelect.value, 10) || 0;
+  }
+
+  function formatLoopPass(loop) {
+    const label = { repeat: 'repeat', range: 'loop', drill: 'drill' }[loop.mode];
+    return loop.times ? `${label} ${loop.pass} of ${loop.times}` : `${label} ${loop.pass}`;
+  }
+
+  function setToggleButton(btn, enabled) {
+    btn.classList.toggle('active', enabled);
+    btn.setAttribute('aria-pressed', String(enabled));
+  }
+
+  // ---- Resume ----
+  function offerResume() {
+    const session = SessionStore.load();
+    resumeBanner.hidden = !session;
+    if (!session) return;
+    const at = session.snapshot ? session.snapshot.currentIndex + 1 : 1;
+    resumeBtn.textContent = `Resume rehearsal of ${session.label}`;
+    resumeDetail.textContent = `Junction ${at} of ${session.points.length}`;
+  }
+
+  /**
+   * Go straight back into the saved rehearsal. The saved route and points
+   * are used as they are, so there is no Directions request.
+   */
+  function resumeSession() {
+    const session = SessionStore.load();
+    resumeBanner.hidden = true;
+    if (!session) return;
+
+    hideError();
+    routeOptions = [];
+    decisionPoints = session.points;
+    selectedRoute = session.route;
+    // Sessions saved before the profile was kept get the current one
+    selectedProfile = session.profile || profileSelect.value;
+    // Only the rehearsal points are saved, so score the whole route again,
+    // with the profile they were picked with
+    const steps = RouteAnalyzer.scoreRoute({ routes: [selectedRoute], language: getLanguage().id }, {
+      profile: selectedProfile,
+    });
+    renderJunctionOverview(decisionPoints, selectedRoute, steps);
+    showScreen('player');
+
+    const snapshot = session.snapshot;
+    startRehearsal(snapshot ? snapshot.currentIndex : 0);
+    if (snapshot) {
+      player.restore(snapshot);
+      speedBtns.forEach(btn => btn.classList.toggle('active', parseFloat(btn.dataset.speed) === snapshot.speed));
+    }
+  }
+
+  function saveSessionPosition() {
+    if (!rehearsalView.hidden) SessionStore.savePosition(player.getSnapshot());
+  }
+
   // ---- Navigation ----
   function goBackToInput() {
-    RehearsalPlayer.destroy();
+    player.destroy();
+    MiniMap.destroy();
+    loopStart = null;
+
+    // From a chosen route, step back to the alternatives first
+    if (routeComparison.hidden && routeOptions.length > 1) {
+      rehearsalCompleted = false;
+      lingeredSnapshot = null;
+      renderRouteComparison(routeOptions);
+      return;
+    }
+
+    routeComparison.hidden = true;
+    routeOptions = [];
     rehearsalView.hidden = true;
     junctionOverview.hidden = false;
     rehearsalCompleted = false;
@@ -444,7 +1217,9 @@
     // Reset selected places for next search
     originPlace = null;
     destPlace = null;
+    stops.forEach(stop => { stop.place = null; });
     showScreen('input');
+    offerResume();
   }
 
   function showScreen(name) {
@@ -493,7 +1268,9 @@
 
     debugPanel.hidden = false;
     const rows = points.map((pt, i) => {
-      const reasons = Array.isArray(pt.reasons) ? pt.reasons.join(', ') : '';
+      const reasons = Array.isArray(pt.factors) && pt.factors.length
+        ? pt.factors.map(factor => `${factor.reason} ${factor.points > 0 ? '+' : ''}${factor.points}`).join(', ')
+        : (Array.isArray(pt.reasons) ? pt.reasons.join(', ') : '');
       const distance = typeof pt.distanceMeters === 'number' && pt.distanceMeters > 0
         ? `${Math.round(pt.distanceMeters)} m`
         : (pt.distance || 'n/a');
@@ -545,6 +1322,12 @@
     }, 250);
   }
 
+  function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+
   function truncateText(text, maxLen) {
     if (text.length <= maxLen) return text;
     return text.slice(0, maxLen - 1) + '…';
@@ -558,22 +1341,39 @@
   }
 
   function getFingerRotation(point) {
-    const instruction = (point.instruction || '').toLowerCase();
-    if (instruction.includes('u-turn') || instruction.includes('u turn')) return 180;
-    if (instruction.includes('left')) return -45;
-    if (instruction.includes('right')) return 45;
-    if (instruction.includes('straight') || instruction.includes('continue') || instruction.includes('ahead')) return 0;
-    if (point.type === 'roundabout' && /(\d+)(st|nd|rd|th)\s+exit/.test(instruction)) {
-      return 45;
+    if (point.direction === 'uturn') return 180;
+    const geometryRotation = getGeometryRotation(point);
+    if (geometryRotation !== null) return geometryRotation;
+    if (point.direction === 'left') return -45;
+    if (point.direction === 'right') return 45;
+    if (point.direction === 'straight') return 0;
+    if (point.type === 'roundabout' && point.exitNumber) {
+      return point.drivingSide === 'right' ? -45 : 45;
     }
     return 0;
   }
 
+  // Turns gentler than this keep the text-based rotation, so "keep left"
+  // still points left even where the road barely bends.
+  const MIN_GEOMETRY_TURN_DEGREES = 20;
+
+  /**
+   * Finger rotation from the measured turn angle, or null when the point
+   * has no usable geometry. Half the turn angle keeps a right-angle turn
+   * at the same 45° the text rules use.
+   */
+  function getGeometryRotation(point) {
+    const angle = point.turnAngle;
+    if (point.type === 'roundabout' || typeof angle !== 'number') return null;
+    if (Math.abs(angle) < MIN_GEOMETRY_TURN_DEGREES) return null;
+    if (Math.abs(angle) >= 160) return 180;
+    return Math.round(Math.max(-90, Math.min(90, angle / 2)));
+  }
+
   function getLaneIndicator(point) {
     if (!point || point.commitmentLevel !== 'high') return null;
     if (!point.isDecisionPoint && !point.isLeadIn) return null;
 
-    const instruction = (point.instruction || '').toLowerCase();
     const hasLaneCommitment = Array.isArray(point.reasons) && point.reasons.includes('lane-commitment');
     const isRoundabout = point.type === 'roundabout';
 
@@ -582,37 +1382,46 @@
     let direction = 'straight';
     let label = '';
 
-    if (instruction.includes('left') || instruction.includes('keep left')) {
+    if (point.direction === 'left') {
       direction = 'left';
       label = 'LEFT LANE';
-    } else if (instruction.includes('right') || instruction.includes('keep right')) {
+    } else if (point.direction === 'right') {
       direction = 'right';
       label = 'RIGHT LANE';
     } else if (isRoundabout) {
-      const exitMatch = instruction.match(/(\d+)(st|nd|rd|th)\s+exit/i);
-      if (exitMatch) {
-        direction = 'right';
-        label = `${exitMatch[1]}${exitMatch[2].toUpperCase()} EXIT`;
+      if (point.exitNumber) {
+        direction = getRoundaboutLane(point);
+        label = `${RehearsalPlayer.formatOrdinal(point.exitNumber).toUpperCase()} EXIT`;
       } else {
         direction = 'straight';
         label = 'ROUNDABOUT';
       }
+    } else if (typeof point.turnAngle === 'number' && Math.abs(point.turnAngle) >= MIN_GEOMETRY_TURN_DEGREES) {
+      direction = point.turnAngle < 0 ? 'left' : 'right';
+      label = direction === 'left' ? 'LEFT LANE' : 'RIGHT LANE';
     } else {
       label = 'STAY IN LANE';
     }
 
-    const containerRect = streetviewContainer.getBoundingClientRect();
-    const x = direction === 'left' ? containerRect.width * 0.25 : direction === 'right' ? containerRect.width * 0.75 : containerRect.width * 0.5;
-    const y = containerRect.height * 0.4;
-
     return {
       direction,
       label,
-      x: x - 50,
-      y: y - 40,
+      xPercent: direction === 'left' ? 25 : direction === 'right' ? 75 : 50,
+      yPercent: 40,
     };
   }
 
+  /**
+   * Approach lane for a roundabout exit: the first exit is taken from the
+   * kerb-side lane, later exits from the lane nearest the centre. Which
+   * side that is depends on the side of the road the country drives on.
+   */
+  function getRoundaboutLane(point) {
+    const kerbSide = point.drivingSide === 'right' ? 'right' : 'left';
+    const centreSide = kerbSide === 'left' ? 'right' : 'left';
+    return point.exitNumber === 1 ? kerbSide : centreSide;
+  }
+
   // ---- Annotation Editor Integration ----
 
   function getJunctionKey(pt) {
@@ -620,8 +1429,16 @@
     return pt.lat.toFixed(5) + ',' + pt.lng.toFixed(5) + ',' + Math.round(pt.heading);
   }
 
+  /**
+   * The view the player shows a junction in, which annotations saved
+   * before they were anchored were drawn over.
+   */
+  function getJunctionView(pt) {
+    return { heading: pt.pano ? pt.pano.heading : pt.heading, pitch: 0, zoom: 0 };
+  }
+
   function onAnnotateClick() {
-    const state = RehearsalPlayer.getState();
+    const state = player.getState();
     const pt = state.point;
     if (!pt) return;
 
@@ -629,16 +1446,19 @@
     if (!key) return;
 
     // Pause playback while editing
-    if (state.isPlaying) RehearsalPlayer.togglePlay();
+    if (state.isPlaying) player.togglePlay();
 
     AnnotationEditor.init('annotation-canvas', streetviewContainer);
-    AnnotationEditor.enter(key);
+    AnnotationEditor.setView(player.getView());
+    AnnotationEditor.enter(key, getJunctionView(pt));
     annotationToolbar.hidden = false;
     annotateBtn.hidden = true;
 
     // Clear tool selection and reset hint
     toolBtns.forEach(b => b.classList.remove('active'));
-    toolbarHint.textContent = 'Select a tool, then tap the image to place it';
+    toolbarHint.textContent = AnnotationStore.isAvailable()
+      ? 'Select a tool, then tap the image to place it'
+      : ANNOTATIONS_UNAVAILABLE;
 
     // Show first-time help overlay
     if (!localStorage.getItem('dbug-anno-help-seen')) {
@@ -647,8 +1467,24 @@
     }
   }
 
-  function onAnnotationSave() {
-    AnnotationEditor.save();
+  async function onAnnotationSave() {
+    annoSaveBtn.disabled = true;
+    try {
+      await AnnotationEditor.save();
+    } catch (e) {
+      // Still editing, so nothing drawn is lost
+      if (AnnotationStore.isFullError(e)) {
+        openStorageManager('Storage is full, so this junction wasn\'t saved. Delete annotations you no longer need, then tap Save again.');
+      } else if (!AnnotationStore.isAvailable()) {
+        toolbarHint.textContent = ANNOTATIONS_UNAVAILABLE;
+      } else {
+        console.warn('Failed to save annotations:', e);
+        toolbarHint.textContent = 'Couldn\'t save these annotations. Try again.';
+      }
+      return;
+    } finally {
+      annoSaveBtn.disabled = false;
+    }
     annotationToolbar.hidden = true;
     annotateBtn.hidden = false;
     toolBtns.forEach(b => b.classList.remove('active'));
@@ -659,6 +1495,182 @@
     setTimeout(() => { annoSaveBtn.textContent = 'Save'; }, 1500);
   }
 
+  function renderAnnotationHistory(editState) {
+    annoUndoBtn.disabled = !editState.canUndo;
+    annoRedoBtn.disabled = !editState.canRedo;
+    annoDeleteBtn.disabled = !editState.hasSelection;
+  }
+
+  // ---- Annotation packs ----
+
+  async function renderAnnotationPacks() {
+    const onRoute = decisionPoints.filter(pt => AnnotationEditor.hasAnnotations(getJunctionKey(pt))).length;
+    const total = AnnotationStore.list().length;
+    packSummary.textContent = total === 0
+      ? 'No annotations saved yet.'
+      : `${onRoute} of this route's ${decisionPoints.length} junctions annotated · ${total} annotated in all`;
+    packExportRouteBtn.disabled = onRoute === 0;
+    packExportAllBtn.disabled = total === 0;
+    storageManageBtn.disabled = total === 0 || !AnnotationStore.isAvailable();
+    packImportBtn.disabled = !AnnotationStore.isAvailable();
+    storageSummary.textContent = AnnotationStore.isAvailable()
+      ? formatStorageUsage(await AnnotationStore.getUsage())
+      : ANNOTATIONS_UNAVAILABLE;
+  }
+
+  async function exportAnnotationPack(junctionKeys, label) {
+    let pack;
+    try {
+      pack = await AnnotationEditor.exportPack(junctionKeys, label);
+    } catch (e) {
+      console.warn('Failed to export annotations:', e);
+      showPackStatus('Couldn\'t read the annotations to export. Try again.', true);
+      return;
+    }
+    const count = Object.keys(pack.annotations).length;
+    const blob = new Blob([JSON.stringify(pack, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `drivebeforeyougo-annotations-${new Date().toISOString().slice(0, 10)}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+    showPackStatus(`Exported ${count} junction${count === 1 ? '' : 's'}.`);
+  }
+
+  async function onPackImport() {
+    const file = packImportInput.files[0];
+    // Let the same file be picked again
+    packImportInput.value = '';
+    if (!file) return;
+
+    try {
+      const pack = AnnotationPack.parse(await file.text());
+      const counts = await AnnotationEditor.importPack(pack, packMergeSelect.value);
+      const from = pack.label ? ` from "${pack.label}"` : '';
+      showPackStatus(`Imported${from}: ${formatImportCounts(counts)}.`);
+    } catch (e) {
+      if (AnnotationStore.isFullError(e)) {
+        showPackStatus('Storage is full, so nothing was imported.', true);
+        openStorageManager('Storage is full, so the pack wasn\'t imported. Delete annotations you no longer need, then import it again.');
+      } else {
+        showPackStatus(e.message, true);
+      }
+    }
+    renderAnnotationPacks();
+  }
+
+  function formatImportCounts({ added, replaced, combined, kept }) {
+    const parts = [];
+    if (added) parts.push(`${added} new`);
+    if (replaced) parts.push(`${replaced} replaced`);
+    if (combined) parts.push(`${combined} combined`);
+    if (kept) parts.push(`${kept} unchanged`);
+    return parts.length ? parts.join(', ') : 'nothing to import';
+  }
+
+  function showPackStatus(msg, isError) {
+    packStatus.textContent = msg;
+    packStatus.classList.toggle('error', !!isError);
+    packStatus.hidden = false;
+  }
+
+  // ---- Annotation storage ----
+
+  /**
+   * Show what's stored, largest first, so space can be freed.
+   * @param {string} [errorMsg] - why it was opened, e.g. a save that didn't fit
+   */
+  function openStorageManager(errorMsg) {
+    storageError.textContent = errorMsg || '';
+    storageError.hidden = !errorMsg;
+    storageOverlay.hidden = false;
+    renderStorageManager();
+  }
+
+  async function renderStorageManager() {
+    const entries = AnnotationStore.list().sort((a, b) => b.size - a.size);
+    storageList.innerHTML = '';
+    entries.forEach(entry => {
+      const item = document.createElement('li');
+      const label = document.createElement('span');
+      label.className = 'storage-item-label';
+      label.textContent = describeJunctionKey(entry.key);
+
+      const meta = document.createElement('span');
+      meta.className = 'storage-item-meta';
+      const edited = entry.updated ? ` · edited ${new Date(entry.updated).toLocaleDateString()}` : '';
+      meta.textContent = `${entry.objectCount} annotation${entry.objectCount === 1 ? '' : 's'} · ${formatBytes(entry.size)}${edited}`;
+      label.appendChild(meta);
+
+      // Two taps, so one stray tap doesn't lose anything
+      const deleteBtn = document.createElement('button');
+      deleteBtn.type = 'button';
+      deleteBtn.className = 'btn-toolbar';
+      deleteBtn.textContent = 'Delete';
+      deleteBtn.addEventListener('click', () => {
+        if (deleteBtn.dataset.confirming) {
+          deleteStoredAnnotations(entry.key);
+          return;
+        }
+        deleteBtn.dataset.confirming = '1';
+        deleteBtn.textContent = 'Tap to confirm';
+        setTimeout(() => {
+          delete deleteBtn.dataset.confirming;
+          deleteBtn.textContent = 'Delete';
+        }, 3000);
+      });
+
+      item.appendChild(label);
+      item.appendChild(deleteBtn);
+      storageList.appendChild(item);
+    });
+    storageExportBtn.disabled = entries.length === 0;
+    storageUsage.textContent = entries.length
+      ? formatStorageUsage(await AnnotationStore.getUsage())
+      : 'No annotations saved.';
+  }
+
+  async function deleteStoredAnnotations(key) {
+    try {
+      await AnnotationStore.remove([key]);
+    } catch (e) {
+      console.warn('Failed to delete annotations:', e);
+      storageError.textContent = 'Couldn\'t delete those annotations. Try again.';
+      storageError.hidden = false;
+      return;
+    }
+    // Stop showing them if it's the junction on screen
+    if (!AnnotationEditor.isEditing() && !rehearsalView.hidden) {
+      const state = player.getState();
+      if (getJunctionKey(state.point) === key) AnnotationEditor.hide();
+    }
+    renderStorageManager();
+    renderAnnotationPacks();
+  }
+
+  // A junction on this route by its number and instruction, others by where they are
+  function describeJunctionKey(key) {
+    const index = decisionPoints.findIndex(pt => getJunctionKey(pt) === key);
+    if (index !== -1) return `Junction ${index + 1}: ${decisionPoints[index].instruction}`;
+    const [lat, lng] = key.split(',');
+    return `Junction at ${lat}, ${lng}`;
+  }
+
+  function formatStorageUsage({ junctions, size, usage, quota }) {
+    const own = `${junctions} annotated junction${junctions === 1 ? '' : 's'}, about ${formatBytes(size)}`;
+    return quota ? `${own}. This site is using ${formatBytes(usage)} of ${formatBytes(quota)}.` : own;
+  }
+
+  function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+    if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+  }
+
   function onAnnotationCancel() {
     AnnotationEditor.exit();
     annotationToolbar.hidden = true;
@@ -0,0 +1,208 @@
+/**
+ * MiniMap
+ * Collapsible route overview shown during rehearsal: the route line, a
+ * marker per decision point coloured by commitment level, and the current
+ * position and heading, kept in sync with RehearsalPlayer.
+ */
+const MiniMap = (() => {
+
+  const COLLAPSED_STORAGE_KEY = 'dbug-mini-map-collapsed';
+
+  const COMMITMENT_COLOURS = {
+    high:   '#dc2626',
+    medium: '#f59e0b',
+    low:    '#6b7280',
+  };
+  const ROUTE_COLOUR = '#2563eb';
+  const CURRENT_COLOUR = '#111827';
+
+  let map = null;
+  let containerEl = null;
+  let canvasEl = null;
+  let toggleEl = null;
+  let routeLine = null;
+  let routePoints = [];
+  let pointMarkers = [];
+  let currentMarker = null;
+  let activeIndex = -1;
+  let pendingFit = null;
+
+  /**
+   * Draw the route and its decision points.
+   * @param {HTMLElement} container - wrapper, toggled with the 'collapsed' class
+   * @param {Object} route - normalized route from RouteProviders
+   * @param {Array} points - from RouteAnalyzer.analyze()
+   * @param {Function} onSelect - called with a point index when its marker is tapped
+   */
+  function init(container, route, points, onSelect) {
+    destroy();
+    containerEl = container;
+    canvasEl = container.querySelector('.mini-map-canvas');
+    toggleEl = container.querySelector('.mini-map-toggle');
+    toggleEl.addEventListener('click', onToggle);
+    setCollapsed(localStorage.getItem(COLLAPSED_STORAGE_KEY) === '1');
+
+    // One map per canvas; rehearsals only swap what is drawn on it
+    if (!map || map.getDiv() !== canvasEl) {
+      map = new google.maps.Map(canvasEl, {
+        disableDefaultUI: true,
+        clickableIcons: false,
+        gestureHandling: 'cooperative',
+      });
+    }
+    routePoints = points;
+
+    const path = getRoutePath(route);
+    routeLine = new google.maps.Polyline({
+      map,
+      path,
+      strokeColor: ROUTE_COLOUR,
+      strokeOpacity: 0.8,
+      strokeWeight: 4,
+    });
+
+    pointMarkers = points.map((pt, index) => {
+      const marker = new google.maps.Marker({
+        map,
+        position: { lat: pt.lat, lng: pt.lng },
+        title: `${index + 1}. ${pt.instruction}`,
+        icon: getPointIcon(pt, false),
+        zIndex: 1,
+      });
+      marker.addListener('click', () => onSelect(index));
+      return marker;
+    });
+
+    currentMarker = new google.maps.Marker({
+      map,
+      position: path[0] || { lat: points[0].lat, lng: points[0].lng },
+      clickable: false,
+      zIndex: 3,
+      icon: getCurrentIcon(0),
+    });
+
+    pendingFit = path.length ? path : points.map(pt => ({ lat: pt.lat, lng: pt.lng }));
+    if (!containerEl.classList.contains('collapsed')) fitRoute();
+  }
+
+  /**
+   * Follow the player: highlight the current point and move the position
+   * marker to the panorama being shown.
+   * @param {Object} state - from RehearsalPlayer.getState()
+   */
+  function update(state) {
+    if (!map || !routeLine || !state.point) return;
+
+    if (state.currentIndex !== activeIndex) {
+      setMarkerActive(activeIndex, false);
+      activeIndex = state.currentIndex;
+      setMarkerActive(activeIndex, true);
+    }
+
+    const view = getView(state);
+    currentMarker.setPosition({ lat: view.lat, lng: view.lng });
+    currentMarker.setIcon(getCurrentIcon(view.heading));
+
+    const bounds = map.getBounds();
+    if (bounds && !bounds.contains(currentMarker.getPosition())) {
+      map.panTo(currentMarker.getPosition());
+    }
+  }
+
+  /**
+   * Where the camera is: the approach frame, the snapped pano, or the
+   * point itself.
+   */
+  function getView(state) {
+    const pt = state.point;
+    if (state.isApproaching && Array.isArray(pt.approach) && pt.approach[state.approachFrame]) {
+      return pt.approach[state.approachFrame];
+    }
+    if (pt.pano) return pt.pano;
+    return pt;
+  }
+
+  function setMarkerActive(index, isActive) {
+    const marker = pointMarkers[index];
+    if (!marker) return;
+    marker.setIcon(getPointIcon(routePoints[index], isActive));
+    marker.setZIndex(isActive ? 2 : 1);
+  }
+
+  function getRoutePath(route) {
+    const path = [];
+    ((route && route.legs) || []).forEach(leg => {
+      leg.steps.forEach(step => {
+        const stepPath = step.path && step.path.length ? step.path : [step.start, step.end];
+        stepPath.forEach(position => path.push({ lat: position.lat, lng: position.lng }));
+      });
+    });
+    return path;
+  }
+
+  function getPointIcon(pt, isActive) {
+    const level = pt && pt.commitmentLevel;
+    return {
+      path: google.maps.SymbolPath.CIRCLE,
+      scale: isActive ? 8 : 6,
+      fillColor: COMMITMENT_COLOURS[level] || COMMITMENT_COLOURS.low,
+      fillOpacity: 1,
+      strokeColor: '#ffffff',
+      strokeWeight: isActive ? 3 : 2,
+    };
+  }
+
+  function getCurrentIcon(heading) {
+    return {
+      path: google.maps.SymbolPath.FORWARD_CLOSED_ARROW,
+      scale: 5,
+      rotation: heading || 0,
+      fillColor: CURRENT_COLOUR,
+      fillOpacity: 1,
+      strokeColor: '#ffffff',
+      strokeWeight: 2,
+    };
+  }
+
+  function fitRoute() {
+    if (!map || !pendingFit) return;
+    const bounds = new google.maps.LatLngBounds();
+    pendingFit.forEach(position => bounds.extend(position));
+    map.fitBounds(bounds, 16);
+    pendingFit = null;
+  }
+
+  function onToggle() {
+    const collapsed = !containerEl.classList.contains('collapsed');
+    setCollapsed(collapsed);
+    localStorage.setItem(COLLAPSED_STORAGE_KEY, collapsed ? '1' : '0');
+    // A map sized while hidden can't fit its bounds, so fit on first open
+    if (!collapsed) fitRoute();
+  }
+
+  function setCollapsed(collapsed) {
+    containerEl.classList.toggle('collapsed', collapsed);
+    toggleEl.setAttribute('aria-expanded', String(!collapsed));
+    toggleEl.textContent = collapsed ? 'Map' : 'Hide map';
+  }
+
+  /**
+   * Remove the route from the map. The map itself is kept for the next
+   * rehearsal.
+   */
+  function destroy() {
+    if (toggleEl) toggleEl.removeEventListener('click', onToggle);
+    pointMarkers.forEach(marker => marker.setMap(null));
+    if (currentMarker) currentMarker.setMap(null);
+    if (routeLine) routeLine.setMap(null);
+    routePoints = [];
+    pointMarkers = [];
+    currentMarker = null;
+    routeLine = null;
+    activeIndex = -1;
+    pendingFit = null;
+  }
+
+  return { init, update, destroy };
+
+})();
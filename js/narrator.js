@@ -0,0 +1,185 @@
+/**
+ * Narrator
+ * Reads junction instructions aloud with the Web Speech API, rephrased in
+ * plain driver language.
+ */
+const Narrator = (() => {
+
+  const STORAGE_KEY = 'dbug-narration';
+
+  const VERBOSITY = {
+    brief:    'Brief: just the instruction',
+    normal:   'Normal: lane, then what to do',
+    detailed: 'Detailed: distance, lane and what to watch for',
+  };
+
+  const ORDINAL_WORDS = ['first', 'second', 'third', 'fourth', 'fifth', 'sixth', 'seventh', 'eighth', 'ninth', 'tenth'];
+
+  // What to watch for, by analyzer reason, for detailed narration
+  const WATCH_FOR = {
+    'short-window': 'the next turn comes quickly',
+    'sharp-angle':  'the turn is tighter than it sounds',
+    'acute-merge':  'the road joins at a steep angle',
+    'dog-leg':      'you turn again almost straight away',
+    'signage':      'there are a lot of signs',
+    'pressure':     'traffic can be busy here',
+  };
+
+  // Spoken forms of common road-name abbreviations
+  const ABBREVIATIONS = [
+    [/\bRd\b/g, 'Road'],
+    [/\bSt\b/g, 'Street'],
+    [/\bAve\b/g, 'Avenue'],
+    [/\bLn\b/g, 'Lane'],
+    [/\bDr\b/g, 'Drive'],
+  ];
+
+  let options = { voiceURI: '', rate: 1, verbosity: 'normal', lang: 'en-GB' };
+
+  function isSupported() {
+    return typeof window !== 'undefined' && 'speechSynthesis' in window;
+  }
+
+  /**
+   * Load saved settings. Call once at startup.
+   */
+  function init() {
+    try {
+      options = { ...options, ...JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}') };
+    } catch (e) {
+      console.warn('Failed to load narration settings:', e);
+    }
+  }
+
+  function getOptions() {
+    return { ...options };
+  }
+
+  /**
+   * Update and save settings.
+   * @param {Object} changes - any of voiceURI, rate, verbosity, lang
+   */
+  function setOptions(changes) {
+    options = { ...options, ...changes };
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(options));
+  }
+
+  function getVerbosityLevels() {
+    return Object.keys(VERBOSITY).map(id => ({ id, label: VERBOSITY[id] }));
+  }
+
+  /**
+   * Voices for the narration language, falling back to all voices.
+   */
+  function getVoices() {
+    if (!isSupported()) return [];
+    const voices = window.speechSynthesis.getVoices();
+    const primary = options.lang.split('-')[0];
+    const matching = voices.filter(voice => voice.lang.split('-')[0] === primary);
+    return matching.length ? matching : voices;
+  }
+
+  /**
+   * Speak text, cancelling anything already being said.
+   * @returns {Promise<void>} resolves when the utterance ends or fails
+   */
+  function speak(text) {
+    if (!isSupported() || !text) return Promise.resolve();
+    cancel();
+
+    return new Promise(resolve => {
+      const utterance = new SpeechSynthesisUtterance(text);
+      const voice = window.speechSynthesis.getVoices().find(v => v.voiceURI === options.voiceURI);
+      if (voice) utterance.voice = voice;
+      utterance.lang = voice ? voice.lang : options.lang;
+      utterance.rate = options.rate;
+      utterance.onend = () => resolve();
+      utterance.onerror = () => resolve();
+      window.speechSynthesis.speak(utterance);
+    });
+  }
+
+  function cancel() {
+    if (isSupported()) window.speechSynthesis.cancel();
+  }
+
+  /**
+   * What to say at a decision point. Non-English directions are read as
+   * they are, since the rephrasing is English.
+   * @param {Object} pt - decision point from RouteAnalyzer.analyze()
+   * @param {number} [metersBefore] - distance still to go, during an approach
+   */
+  function describe(pt, metersBefore) {
+    if (!pt) return '';
+    const instruction = speakable(pt.instruction || '');
+    if (!/^en\b/i.test(options.lang) || options.verbosity === 'brief') return instruction;
+
+    const parts = [];
+    if (metersBefore) parts.push(`In ${metersBefore} metres,`);
+
+    const lane = getLane(pt);
+    const action = pt.type === 'roundabout' && pt.exitNumber
+      ? `take the ${ORDINAL_WORDS[pt.exitNumber - 1] || `number ${pt.exitNumber}`} exit${getExitRoad(instruction)}`
+      : lowerFirst(instruction);
+    parts.push(lane ? `get in the ${lane} lane now, then ${action}.` : `${action}.`);
+
+    if (options.verbosity === 'detailed') {
+      const watch = (pt.reasons || []).map(reason => WATCH_FOR[reason]).filter(Boolean);
+      if (watch.length) parts.push(`Watch out: ${watch.join(', and ')}.`);
+    }
+
+    return upperFirst(parts.join(' '));
+  }
+
+  /**
+   * Lane to be in for points that commit you to one: the turn direction,
+   * or for a roundabout the kerb-side lane for the first exit and the
+   * centre-side lane after that.
+   */
+  function getLane(pt) {
+    const reasons = pt.reasons || [];
+    if (pt.type === 'roundabout' && pt.exitNumber) {
+      const kerbSide = pt.drivingSide === 'right' ? 'right' : 'left';
+      const centreSide = kerbSide === 'left' ? 'right' : 'left';
+      return pt.exitNumber === 1 ? kerbSide : centreSide;
+    }
+    if (reasons.includes('lane-commitment') && (pt.direction === 'left' || pt.direction === 'right')) {
+      return pt.direction;
+    }
+    return null;
+  }
+
+  /**
+   * " onto Northern Bypass Road" from a roundabout instruction, keeping
+   * only the first of several road names.
+   */
+  function getExitRoad(instruction) {
+    const match = instruction.match(/\bonto (?:the )?([^/,]+)/i);
+    return match ? ` onto ${match[1].trim()}` : '';
+  }
+
+  function speakable(text) {
+    return ABBREVIATIONS.reduce((result, [pattern, spoken]) => result.replace(pattern, spoken), text);
+  }
+
+  function lowerFirst(text) {
+    return text.charAt(0).toLowerCase() + text.slice(1);
+  }
+
+  function upperFirst(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+  }
+
+  return {
+    init,
+    isSupported,
+    getOptions,
+    setOptions,
+    getVerbosityLevels,
+    getVoices,
+    speak,
+    cancel,
+    describe,
+  };
+
+})();
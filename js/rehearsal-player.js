@@ -1,227 +1,1156 @@
 /**
  * RehearsalPlayer
  * Controls Street View panorama playback through a sequence of decision points.
+ * Each player made with create() has its own panorama, state and listeners.
  */
 const RehearsalPlayer = (() => {
 
-  let panorama = null;
-  let points = [];
-  let currentIndex = 0;
-  let isPlaying = false;
-  let playTimer = null;
-  let speed = 1;        // multiplier: 0.5, 1, 2, 0 = skip (instant)
-  let onUpdate = null;  // callback when state changes
-  let lastShownAt = null;
-
   // Base dwell time at each junction (ms) before auto-advancing
   const BASE_DWELL = 5000;
   const DECISION_DWELL_MULTIPLIER = 1.6;
+  // Time on each approach frame (ms) at normal speed
+  const APPROACH_FRAME_DWELL = 900;
+  // Decision points to preload ahead of the current one
+  const PRELOAD_AHEAD = 2;
+  // Stop waiting for a pano that never reports in (ms)
+  const MAX_LOAD_WAIT = 4000;
+  // Stop waiting for speech that never reports it ended (ms): a base plus
+  // time per character at the slowest speaking rate
+  const MAX_SPEECH_WAIT = 3000;
+  const MAX_SPEECH_WAIT_PER_CHAR = 120;
+  // Time on each look-around step (ms) at normal speed
+  const LOOK_STEP_DWELL = 1800;
+  // Look-around headings, in degrees from the direction of travel
+  const MIRROR_ANGLE = 150;
+  const SHOULDER_ANGLE = 110;
+  const GIVE_WAY_ANGLE = 70;
+  const SIGN_ANGLE = 20;
+  // Turns gentler than this don't need a signal
+  const SIGNAL_TURN_DEGREES = 20;
+  // Longest-dwelt points a drill adds to the high-commitment ones
+  const DRILL_LINGERED = 3;
 
-  /**
-   * Initialize the player with a container element and decision points.
-   * @param {HTMLElement} container - DOM element for the Street View panorama
-   * @param {Array} decisionPoints - from RouteAnalyzer.analyze()
-   * @param {Function} updateCallback - called with state on every change
-   */
-  function init(container, decisionPoints, updateCallback) {
-    points = decisionPoints;
-    currentIndex = 0;
-    isPlaying = false;
-    speed = 1;
-    onUpdate = updateCallback;
-    lastShownAt = null;
-
-    if (playTimer) clearTimeout(playTimer);
-
-    panorama = new google.maps.StreetViewPanorama(container, {
-      position: { lat: points[0].lat, lng: points[0].lng },
-      pov: { heading: points[0].heading, pitch: 0 },
-      zoom: 0,
-      disableDefaultUI: true,
-      showRoadLabels: true,
-      motionTracking: false,
-      motionTrackingControl: false,
-    });
-
-    showPoint(0);
-  }
+  // Events a player emits, with what listeners are passed
+  const EVENTS = [
+    'update',        // state from getState(), on every change
+    'pointchange',   // { index, previousIndex, point }
+    'play',          // { index }
+    'pause',         // { index }
+    'speedchange',   // { speed, previousSpeed }
+    'ended',         // { index }
+    'dwellrecorded', // { index, dwellSeconds }
+    'viewchange',    // { heading, pitch, zoom } as the camera turns or zooms
+  ];
 
   /**
-   * Show a specific decision point in the panorama.
+   * Make a player. Nothing is shown until init().
+   * @returns {Object} the player API
    */
-  function showPoint(index) {
-    if (index < 0 || index >= points.length) return;
+  function create() {
+    let panorama = null;
+    let points = [];
+    let currentIndex = 0;
+    let isPlaying = false;
+    let playTimer = null;
+    let speed = 1;        // multiplier: 0.5, 1, 2, 0 = skip (instant)
+    let lastShownAt = null;
+    let approachMode = false;
+    let approachFrame = -1; // index into the current point's approach, -1 once arrived
+    let approachTimer = null;
+    let panoReady = true;     // current pano has reported in since the last move
+    let onPanoReady = null;   // timer waiting for it to do so
+    let loadTimer = null;
+    let preloaders = [];      // hidden panoramas warming upcoming points
+    let lookMode = false;
+    let lookScript = [];      // camera steps for the current point
+    let lookStep = -1;        // index into lookScript, -1 when not running
+    let lookTimer = null;
+    let quizMode = false;
+    let quizzes = {};         // by point index: { question, choices, answer, picked }
+    let narrationEnabled = false;
+    let speechToken = 0;      // bumped on every new utterance, so stale ends are ignored
+    let isSpeaking = false;
+    let onSpeechDone = null;
+    let speechTimer = null;
+    let loop = null;          // { mode, indices, times, pass } while repeating, looping or drilling
+    const listeners = {};     // by event name
 
-    recordCurrentDwell();
+    /**
+     * Initialize the player with a container element and decision points.
+     * @param {HTMLElement} container - DOM element for the Street View panorama
+     * @param {Array} decisionPoints - from RouteAnalyzer.analyze()
+     */
+    function init(container, decisionPoints) {
+      points = decisionPoints;
+      currentIndex = -1;        // nothing shown until showPoint(0) below
+      isPlaying = false;
+      speed = 1;
+      lastShownAt = null;
+      approachFrame = -1;
+      quizzes = {};
+      loop = null;
 
-    currentIndex = index;
-    const pt = points[index];
+      if (playTimer) clearTimeout(playTimer);
+      clearApproachTimer();
+      removePreloaders();
 
-    panorama.setPosition({ lat: pt.lat, lng: pt.lng });
-    panorama.setPov({ heading: pt.heading, pitch: 0 });
-    lastShownAt = Date.now();
+      panorama = new google.maps.StreetViewPanorama(container, {
+        position: { lat: points[0].lat, lng: points[0].lng },
+        pov: { heading: points[0].heading, pitch: 0 },
+        zoom: 0,
+        disableDefaultUI: true,
+        showRoadLabels: true,
+        motionTracking: false,
+        motionTrackingControl: false,
+      });
+      // Any status, including ZERO_RESULTS, means the pano has stopped loading
+      panorama.addListener('status_changed', markPanoReady);
+      panorama.addListener('pov_changed', emitView);
+      panorama.addListener('zoom_changed', emitView);
 
-    emitUpdate();
-  }
+      for (let i = 0; i < PRELOAD_AHEAD; i++) {
+        preloaders.push(createPreloader(container));
+      }
 
-  /**
-   * Start auto-playing through junctions.
-   */
-  function play() {
-    if (points.length === 0) return;
-    isPlaying = true;
-    emitUpdate();
-    scheduleNext();
-  }
+      showPoint(0);
+    }
 
-  /**
-   * Pause auto-play.
-   */
-  function pause() {
-    isPlaying = false;
-    if (playTimer) {
-      clearTimeout(playTimer);
-      playTimer = null;
+    /**
+     * Show a specific decision point in the panorama. In approach mode,
+     * decision points with an approach start at its first frame instead.
+     */
+    function showPoint(index) {
+      if (index < 0 || index >= points.length) return;
+
+      recordCurrentDwell();
+      clearApproachTimer();
+      stopLookAround();
+
+      const previousIndex = currentIndex;
+      currentIndex = index;
+      if (getApproachFrames().length) {
+        showApproachFrame(0);
+        narrate(getApproachFrames()[0].metersBefore);
+      } else {
+        arrive();
+        narrate();
+      }
+      emit('pointchange', { index, previousIndex, point: points[index] });
     }
-    emitUpdate();
-  }
 
-  /**
-   * Toggle play/pause.
-   */
-  function togglePlay() {
-    if (isPlaying) {
-      pause();
-    } else {
-      play();
+    /**
+     * Show the junction itself, ending any approach.
+     */
+    function arrive() {
+      clearApproachTimer();
+      approachFrame = -1;
+      const pt = points[currentIndex];
+
+      // Prefer the pano StreetViewCoverage snapped the point to; with no
+      // coverage the app shows a map, so leave the panorama where it is
+      if (pt.pano) {
+        moveTo(pt.pano.id, null, pt.pano.heading);
+      } else if (pt.coverage !== 'none') {
+        moveTo(null, pt, pt.heading);
+      } else {
+        expectPanoLoad(true);
+      }
+      lastShownAt = Date.now();
+
+      startLookAround();
+      emitUpdate();
+      preloadAhead();
     }
-  }
 
-  /**
-   * Go to next junction.
-   */
-  function next() {
-    if (currentIndex < points.length - 1) {
-      showPoint(currentIndex + 1);
+    /**
+     * Show one approach frame, facing along the road. While playing, the
+     * next frame follows on a timer and the last one hands over to arrive().
+     */
+    function showApproachFrame(frameIndex) {
+      const frames = getApproachFrames();
+      approachFrame = frameIndex;
+      const frame = frames[frameIndex];
+
+      moveTo(null, frame, frame.heading);
+
+      emitUpdate();
+      if (frameIndex === 0) preloadAhead();
+      scheduleApproachFrame();
+    }
+
+    function scheduleApproachFrame() {
+      clearApproachTimer();
+      if (!isPlaying || approachFrame < 0) return;
+
+      whenPanoReady(() => {
+        if (!isPlaying) return;
+        approachTimer = setTimeout(() => {
+          approachTimer = null;
+          advanceApproach();
+          if (approachFrame < 0 && isPlaying) scheduleNext();
+        }, APPROACH_FRAME_DWELL / speed);
+      });
+    }
+
+    function advanceApproach() {
+      if (approachFrame < getApproachFrames().length - 1) {
+        showApproachFrame(approachFrame + 1);
+      } else {
+        arrive();
+      }
+    }
+
+    function getApproachFrames() {
+      const pt = points[currentIndex];
+      if (!approachMode || speed === 0 || !pt || !Array.isArray(pt.approach)) return [];
+      return pt.approach;
+    }
+
+    function clearApproachTimer() {
+      if (approachTimer) {
+        clearTimeout(approachTimer);
+        approachTimer = null;
+      }
+    }
+
+    /**
+     * Point the panorama at a pano id or a position. Moving to the pano
+     * already showing loads nothing, so it counts as ready straight away.
+     */
+    function moveTo(panoId, position, heading) {
+      if (panoId) {
+        expectPanoLoad(panorama.getPano() === panoId);
+        panorama.setPano(panoId);
+      } else {
+        expectPanoLoad(false);
+        panorama.setPosition({ lat: position.lat, lng: position.lng });
+      }
+      panorama.setPov({ heading, pitch: 0 });
+    }
+
+    function expectPanoLoad(alreadyLoaded) {
+      if (loadTimer) clearTimeout(loadTimer);
+      loadTimer = null;
+      onPanoReady = null;
+      panoReady = alreadyLoaded;
+      if (!panoReady) loadTimer = setTimeout(markPanoReady, MAX_LOAD_WAIT);
+    }
+
+    function markPanoReady() {
+      if (panoReady) return;
+      panoReady = true;
+      if (loadTimer) clearTimeout(loadTimer);
+      loadTimer = null;
+
+      // Dwell counts from when the junction's image actually appears
+      if (approachFrame < 0 && lastShownAt !== null) lastShownAt = Date.now();
+
+      const callback = onPanoReady;
+      onPanoReady = null;
+      if (callback) callback();
+    }
+
+    /**
+     * Run `callback` once the current pano has loaded. Only the latest
+     * caller waits, and moving drops it.
+     */
+    function whenPanoReady(callback) {
+      if (panoReady) {
+        callback();
+      } else {
+        onPanoReady = callback;
+      }
+    }
+
+    // ---- Look-around ----
+
+    /**
+     * Camera script for a point: look ahead, check the mirror, read the
+     * signs, signal, glance over the shoulder before a lane change, look for
+     * traffic on a roundabout, then look into the exit. Low-commitment
+     * points get none; medium ones skip the shoulder check.
+     * @returns {Array<{heading: number, pitch: number, caption: string}>}
+     */
+    function buildLookAround(pt) {
+      if (!pt || pt.commitmentLevel === 'low') return [];
+
+      const ahead = typeof pt.entryHeading === 'number' ? pt.entryHeading : pt.heading;
+      const exit = pt.pano ? pt.pano.heading : pt.heading;
+      const kerbSide = pt.drivingSide === 'right' ? 'right' : 'left';
+      const offSide = kerbSide === 'left' ? 'right' : 'left';
+      const turnSide = getTurnSide(pt, kerbSide, offSide);
+      const reasons = Array.isArray(pt.reasons) ? pt.reasons : [];
+      const toward = (side, angle) => ahead + (side === 'right' ? angle : -angle);
+
+      const script = [{ heading: ahead, pitch: 0, caption: 'Look well ahead' }];
+      if (turnSide) {
+        script.push({ heading: toward(turnSide, MIRROR_ANGLE), pitch: -5, caption: `Check ${turnSide} mirror` });
+      } else {
+        script.push({ heading: ahead + 180, pitch: 0, caption: 'Check your mirrors' });
+      }
+      if (reasons.includes('signage')) {
+        script.push({ heading: toward(kerbSide, SIGN_ANGLE), pitch: 10, caption: 'Read the signs for your lane' });
+      }
+      if (turnSide) {
+        script.push({ heading: ahead, pitch: 0, caption: `Signal ${turnSide}` });
+      }
+      if (pt.commitmentLevel === 'high' && reasons.includes('lane-commitment') && turnSide) {
+        script.push({ heading: toward(turnSide, SHOULDER_ANGLE), pitch: 0, caption: `Glance over your ${turnSide} shoulder` });
+      }
+      if (pt.type === 'roundabout') {
+        script.push({ heading: toward(offSide, GIVE_WAY_ANGLE), pitch: 0, caption: `Look ${offSide} for traffic already on the roundabout` });
+      }
+      script.push({
+        heading: exit,
+        pitch: 0,
+        caption: pt.type === 'roundabout' ? 'Find your exit' : 'Look into the road you are taking',
+      });
+
+      return script.map(step => ({ ...step, heading: ((step.heading % 360) + 360) % 360 }));
+    }
+
+    /**
+     * Side the driver turns or moves over to: the instruction's direction,
+     * then the roundabout exit (first exit from the kerb-side lane), then
+     * the measured turn angle. Null for straight on.
+     */
+    function getTurnSide(pt, kerbSide, offSide) {
+      if (pt.direction === 'left' || pt.direction === 'right') return pt.direction;
+      if (pt.type === 'roundabout' && pt.exitNumber) {
+        return pt.exitNumber === 1 ? kerbSide : offSide;
+      }
+      if (typeof pt.turnAngle === 'number' && Math.abs(pt.turnAngle) >= SIGNAL_TURN_DEGREES) {
+        return pt.turnAngle < 0 ? 'left' : 'right';
+      }
+      return null;
+    }
+
+    /**
+     * Run the current point's script, if look-around is on, once its pano
+     * has loaded and any quiz is answered. Auto-advance waits for the
+     * script to finish.
+     */
+    function startLookAround() {
+      stopLookAround();
+      // The script gives the answer away, so it waits for the quiz
+      if (isQuizPending()) return;
+      lookScript = lookMode && speed !== 0 ? buildLookAround(points[currentIndex]) : [];
+      if (!lookScript.length) return;
+
+      lookStep = 0;
+      whenPanoReady(() => showLookStep(0));
+    }
+
+    function showLookStep(stepIndex) {
+      if (stepIndex !== lookStep || !lookScript[stepIndex]) return;
+      const step = lookScript[stepIndex];
+      panorama.setPov({ heading: step.heading, pitch: step.pitch });
+      emitUpdate();
+
+      lookTimer = setTimeout(() => {
+        lookTimer = null;
+        if (stepIndex < lookScript.length - 1) {
+          lookStep = stepIndex + 1;
+          showLookStep(lookStep);
+        } else {
+          finishLookAround();
+        }
+      }, LOOK_STEP_DWELL / (speed || 1));
+    }
+
+    /**
+     * End the script facing the junction's usual view, then carry on.
+     */
+    function finishLookAround() {
+      endLookAround();
+      emitUpdate();
       if (isPlaying) scheduleNext();
-    } else {
-      // Reached end
-      recordCurrentDwell();
-      pause();
     }
-  }
 
-  /**
-   * Go to previous junction.
-   */
-  function prev() {
-    if (currentIndex > 0) {
-      showPoint(currentIndex - 1);
+    function endLookAround() {
+      const pt = points[currentIndex];
+      stopLookAround();
+      if (pt) {
+        panorama.setPov({ heading: pt.pano ? pt.pano.heading : pt.heading, pitch: 0 });
+      }
+    }
+
+    function stopLookAround() {
+      clearLookTimer();
+      lookStep = -1;
+      lookScript = [];
+    }
+
+    function clearLookTimer() {
+      if (lookTimer) {
+        clearTimeout(lookTimer);
+        lookTimer = null;
+      }
+    }
+
+    /**
+     * Turn the look-around camera scripts on or off. Turning it on starts
+     * the script at the current junction; turning it off ends it.
+     */
+    function setLookAround(enabled) {
+      lookMode = Boolean(enabled);
+      if (!panorama || approachFrame >= 0) return;
+      if (lookMode && lookStep < 0) {
+        if (playTimer) clearTimeout(playTimer);
+        startLookAround();
+        emitUpdate();
+      } else if (!lookMode && lookStep >= 0) {
+        finishLookAround();
+      }
+    }
+
+    // ---- Narration ----
+
+    /**
+     * Read the current point's instruction aloud, if narration is on. Held
+     * back while its quiz is unanswered, since it would give the answer.
+     */
+    function narrate(metersBefore) {
+      stopNarration();
+      const quiz = getQuiz(currentIndex);
+      if (!narrationEnabled || speed === 0 || (quiz && quiz.picked === null)) return;
+
+      const text = Narrator.describe(points[currentIndex], metersBefore);
+      const token = speechToken;
+      const finish = () => {
+        if (token !== speechToken || !isSpeaking) return;
+        isSpeaking = false;
+        clearTimeout(speechTimer);
+        const callback = onSpeechDone;
+        onSpeechDone = null;
+        if (callback) callback();
+      };
+      isSpeaking = true;
+      // Some browsers drop onend on long utterances, which would stall
+      // auto-play for good
+      speechTimer = setTimeout(finish, MAX_SPEECH_WAIT + text.length * MAX_SPEECH_WAIT_PER_CHAR);
+      Narrator.speak(text).then(finish);
+    }
+
+    function stopNarration() {
+      speechToken += 1;
+      isSpeaking = false;
+      clearTimeout(speechTimer);
+      onSpeechDone = null;
+      if (narrationEnabled) Narrator.cancel();
+    }
+
+    /**
+     * Run `callback` once the current utterance has finished, so the dwell
+     * stretches to fit what is being said.
+     */
+    function whenSpeechDone(callback) {
+      if (isSpeaking) {
+        onSpeechDone = callback;
+      } else {
+        callback();
+      }
+    }
+
+    /**
+     * Turn narration on or off. Turning it on reads the current junction.
+     */
+    function setNarration(enabled) {
+      if (!enabled) stopNarration();
+      narrationEnabled = Boolean(enabled);
+      if (narrationEnabled && panorama) narrate();
+    }
+
+    // ---- Quiz ----
+
+    /**
+     * The quiz for a point, built on first visit. Only high-commitment
+     * points are quizzed, and only in quiz mode.
+     */
+    function getQuiz(index) {
+      const pt = points[index];
+      if (!quizMode || !pt || pt.commitmentLevel !== 'high') return null;
+      if (!quizzes[index]) quizzes[index] = buildQuiz(pt);
+      return quizzes[index];
+    }
+
+    /**
+     * Roundabouts with a numbered exit ask which exit, offering at least
+     * four; everything else asks which lane.
+     */
+    function buildQuiz(pt) {
+      if (pt.type === 'roundabout' && pt.exitNumber) {
+        const count = Math.max(4, pt.exitNumber + 1);
+        const choices = [];
+        for (let n = 1; n <= count; n++) {
+          choices.push({ id: `exit-${n}`, label: `${formatOrdinal(n)} exit` });
+        }
+        return { question: 'Which exit do you take?', choices, answer: `exit-${pt.exitNumber}`, picked: null };
+      }
+
+      const kerbSide = pt.drivingSide === 'right' ? 'right' : 'left';
+      const offSide = kerbSide === 'left' ? 'right' : 'left';
+      const lane = getTurnSide(pt, kerbSide, offSide) || 'straight';
+      return {
+        question: 'Which lane do you need?',
+        choices: [
+          { id: 'left', label: 'Left lane' },
+          { id: 'straight', label: 'Stay in lane' },
+          { id: 'right', label: 'Right lane' },
+        ],
+        answer: lane,
+        picked: null,
+      };
+    }
+
+    function isQuizPending() {
+      const quiz = approachFrame < 0 ? getQuiz(currentIndex) : null;
+      return Boolean(quiz) && quiz.picked === null;
+    }
+
+    /**
+     * Answer the current point's quiz. The answer is revealed and, while
+     * playing, auto-advance carries on. Later answers are ignored.
+     * @param {string} choiceId - id of one of the quiz's choices
+     */
+    function answerQuiz(choiceId) {
+      if (!isQuizPending()) return;
+      const quiz = getQuiz(currentIndex);
+      if (!quiz.choices.some(choice => choice.id === choiceId)) return;
+      quiz.picked = choiceId;
+      startLookAround();
+      narrate();
+      emitUpdate();
       if (isPlaying) scheduleNext();
     }
-  }
 
-  /**
-   * Set playback speed.
-   * @param {number} newSpeed - 0.5, 1, 2, or 0 (skip/instant)
-   */
-  function setSpeed(newSpeed) {
-    speed = newSpeed;
-    emitUpdate();
+    /**
+     * Turn quiz mode on or off. Answers given so far are kept.
+     */
+    function setQuizMode(enabled) {
+      const wasPending = isQuizPending();
+      quizMode = Boolean(enabled);
+      if (!panorama) return;
+      emitUpdate();
+      if (wasPending && !quizMode && isPlaying) scheduleNext();
+    }
 
-    // If playing and speed is "skip" (0), jump to next immediately
-    if (isPlaying && speed === 0) {
-      if (playTimer) clearTimeout(playTimer);
-      next();
+    /**
+     * Score for the session: quizzes answered and answered correctly, out
+     * of the number of quizzed points on the route.
+     */
+    function getQuizScore() {
+      const answered = Object.values(quizzes).filter(quiz => quiz.picked !== null);
+      return {
+        answered: answered.length,
+        correct: answered.filter(quiz => quiz.picked === quiz.answer).length,
+        total: points.filter(pt => pt.commitmentLevel === 'high').length,
+      };
     }
-  }
 
-  /**
-   * Jump to a specific junction by index.
-   */
-  function goTo(index) {
-    showPoint(index);
-    if (isPlaying) scheduleNext();
-  }
+    // ---- Repeat, loop and drill ----
 
-  /**
-   * Schedule the next auto-advance.
-   */
-  function scheduleNext() {
-    if (playTimer) clearTimeout(playTimer);
-    if (!isPlaying) return;
-    if (currentIndex >= points.length - 1) {
+    /**
+     * Repeat one junction.
+     * @param {number} [index] - point to repeat; defaults to the current one
+     * @param {number} [times] - plays in all; omit to repeat until cleared
+     * @returns {boolean} whether the repeat started
+     */
+    function setRepeat(index, times) {
+      const target = typeof index === 'number' ? index : currentIndex;
+      if (target < 0 || target >= points.length) return false;
+      return startLoop('repeat', [target], times);
+    }
+
+    /**
+     * Loop over the points from A to B inclusive, in either order.
+     * @param {number} from - index of point A
+     * @param {number} to - index of point B
+     * @param {number} [times] - passes in all; omit to loop until cleared
+     * @returns {boolean} whether the loop started
+     */
+    function setLoop(from, to, times) {
+      const start = Math.max(0, Math.min(from, to));
+      const end = Math.min(points.length - 1, Math.max(from, to));
+      const indices = [];
+      for (let i = start; i <= end; i++) indices.push(i);
+      return startLoop('range', indices, times);
+    }
+
+    /**
+     * Drill the hard ones: only the high-commitment points and the points
+     * dwelt on longest so far, in route order.
+     * @param {number} [times] - passes in all; omit to drill until cleared
+     * @returns {boolean} whether the drill started; false with nothing to drill
+     */
+    function setDrill(times) {
+      return startLoop('drill', getDrillIndices(), times);
+    }
+
+    /**
+     * Back to playing straight through. Stays on the current point.
+     */
+    function clearLoop() {
+      if (!loop) return;
+      loop = null;
+      emitUpdate();
+      preloadAhead();
+    }
+
+    function startLoop(mode, indices, times) {
+      if (!indices.length) return false;
+      loop = {
+        mode,
+        indices,
+        times: times > 0 ? Math.round(times) : Infinity,
+        pass: 1,
+      };
+      // Start from the top, so the first pass is a whole one
+      if (currentIndex !== indices[0]) {
+        goTo(indices[0]);
+      } else {
+        emitUpdate();
+        preloadAhead();
+      }
+      return true;
+    }
+
+    function getDrillIndices() {
+      const lingered = points
+        .map((pt, index) => ({ index, dwell: typeof pt.dwellSeconds === 'number' ? pt.dwellSeconds : 0 }))
+        .filter(entry => entry.dwell > 0)
+        .sort((a, b) => b.dwell - a.dwell)
+        .slice(0, DRILL_LINGERED)
+        .map(entry => entry.index);
+      return points
+        .map((pt, index) => index)
+        .filter(index => points[index].commitmentLevel === 'high' || lingered.includes(index));
+    }
+
+    /**
+     * Next point in the loop after the current one, or -1 at the end of
+     * a pass.
+     */
+    function getNextInLoop() {
+      const later = loop.indices.find(index => index > currentIndex);
+      return later === undefined ? -1 : later;
+    }
+
+    /**
+     * Move on within the loop, starting the next pass at the end of one.
+     * Each pass asks its quizzes again. Pauses once the last pass is done.
+     */
+    function advanceLoop() {
+      const nextIndex = getNextInLoop();
+      if (nextIndex >= 0) {
+        goTo(nextIndex);
+        return;
+      }
+      if (loop.pass >= loop.times) {
+        finish();
+        return;
+      }
+      loop.pass++;
+      loop.indices.forEach(index => { delete quizzes[index]; });
+      goTo(loop.indices[0]);
+    }
+
+    /**
+     * Nothing left to play: the last point of the route, or of the last
+     * pass of a loop.
+     */
+    function isAtEnd() {
+      if (loop) return loop.pass >= loop.times && getNextInLoop() < 0;
+      return currentIndex >= points.length - 1;
+    }
+
+    function getLoopState() {
+      if (!loop) return null;
+      return {
+        mode: loop.mode,
+        indices: loop.indices.slice(),
+        pass: loop.pass,
+        times: Number.isFinite(loop.times) ? loop.times : null,
+      };
+    }
+
+    // ---- Preloading ----
+
+    /**
+     * A hidden panorama the size of the player, so the tiles it fetches are
+     * the ones the player will ask for.
+     */
+    function createPreloader(container) {
+      const el = document.createElement('div');
+      el.className = 'panorama-preloader';
+      el.setAttribute('aria-hidden', 'true');
+      container.appendChild(el);
+      const preloader = new google.maps.StreetViewPanorama(el, {
+        disableDefaultUI: true,
+        showRoadLabels: false,
+        motionTracking: false,
+        motionTrackingControl: false,
+      });
+      return { el, panorama: preloader };
+    }
+
+    /**
+     * Warm the next PRELOAD_AHEAD points: check their coverage (which fetches
+     * pano metadata) and load the first view of each into a preloader.
+     */
+    function preloadAhead() {
+      const upcoming = getUpcomingIndices().map(index => points[index]);
+      if (!upcoming.length || !preloaders.length) return;
+
+      StreetViewCoverage.check(upcoming).then(() => {
+        upcoming.forEach((pt, i) => {
+          const preloader = preloaders[i];
+          if (!preloader || !panorama) return;
+          const frames = approachMode && speed !== 0 && Array.isArray(pt.approach) ? pt.approach : [];
+          if (frames.length) {
+            preloader.panorama.setPosition({ lat: frames[0].lat, lng: frames[0].lng });
+            preloader.panorama.setPov({ heading: frames[0].heading, pitch: 0 });
+          } else if (pt.pano) {
+            preloader.panorama.setPano(pt.pano.id);
+            preloader.panorama.setPov({ heading: pt.pano.heading, pitch: 0 });
+          }
+        });
+      }).catch(err => console.warn('RehearsalPlayer: preloading failed:', err));
+    }
+
+    /**
+     * Indices of the next PRELOAD_AHEAD points to be played, following the
+     * loop round when there is one.
+     */
+    function getUpcomingIndices() {
+      if (!loop) {
+        const upcoming = [];
+        for (let i = currentIndex + 1; i < points.length && upcoming.length < PRELOAD_AHEAD; i++) {
+          upcoming.push(i);
+        }
+        return upcoming;
+      }
+      const position = loop.indices.indexOf(currentIndex);
+      const upcoming = [];
+      for (let step = 1; step <= PRELOAD_AHEAD && step < loop.indices.length; step++) {
+        upcoming.push(loop.indices[(position + step) % loop.indices.length]);
+      }
+      return upcoming;
+    }
+
+    function removePreloaders() {
+      preloaders.forEach(preloader => preloader.el.remove());
+      preloaders = [];
+    }
+
+    /**
+     * Start auto-playing through junctions.
+     */
+    function play() {
+      if (points.length === 0) return;
+      isPlaying = true;
+      emitUpdate();
+      emit('play', { index: currentIndex });
+      if (approachFrame >= 0) {
+        scheduleApproachFrame();
+      } else {
+        scheduleNext();
+      }
+    }
+
+    /**
+     * Pause auto-play.
+     */
+    function pause() {
+      const wasPlaying = isPlaying;
+      isPlaying = false;
+      if (playTimer) {
+        clearTimeout(playTimer);
+        playTimer = null;
+      }
+      clearApproachTimer();
+      emitUpdate();
+      if (wasPlaying) emit('pause', { index: currentIndex });
+    }
+
+    /**
+     * Stop at the end of the route, or of a loop's last pass.
+     */
+    function finish() {
       recordCurrentDwell();
+      loop = null;
       pause();
-      return;
+      emit('ended', { index: currentIndex });
     }
 
-    // Speed 0 = skip immediately
-    if (speed === 0) {
-      next();
-      return;
+    /**
+     * Toggle play/pause.
+     */
+    function togglePlay() {
+      if (isPlaying) {
+        pause();
+      } else {
+        play();
+      }
     }
 
-    let delay = BASE_DWELL / speed;
-    const currentPoint = points[currentIndex];
-    if (currentPoint && currentPoint.isDecisionPoint) {
-      delay *= DECISION_DWELL_MULTIPLIER;
+    /**
+     * Go to next junction. During an approach, step to the next frame
+     * instead, or skip straight to the junction while playing.
+     */
+    function next() {
+      if (approachFrame >= 0) {
+        if (isPlaying) {
+          arrive();
+          scheduleNext();
+        } else {
+          advanceApproach();
+        }
+        return;
+      }
+      if (loop) {
+        advanceLoop();
+        return;
+      }
+      if (currentIndex < points.length - 1) {
+        showPoint(currentIndex + 1);
+        if (isPlaying) scheduleNext();
+      } else {
+        finish();
+      }
+    }
+
+    /**
+     * Go to previous junction, or back one frame during an approach. In a
+     * loop, the previous point in the loop.
+     */
+    function prev() {
+      if (approachFrame > 0) {
+        showApproachFrame(approachFrame - 1);
+        return;
+      }
+      if (loop) {
+        const earlier = loop.indices.filter(index => index < currentIndex);
+        if (earlier.length) goTo(earlier[earlier.length - 1]);
+        return;
+      }
+      if (currentIndex > 0) {
+        showPoint(currentIndex - 1);
+        if (isPlaying) scheduleNext();
+      }
+    }
+
+    /**
+     * Set playback speed.
+     * @param {number} newSpeed - 0.5, 1, 2, or 0 (skip/instant)
+     */
+    function setSpeed(newSpeed) {
+      const previousSpeed = speed;
+      speed = newSpeed;
+      if (speed !== previousSpeed) emit('speedchange', { speed, previousSpeed });
+
+      // Skip has no approach or look-around
+      if (speed === 0 && approachFrame >= 0) {
+        arrive();
+      } else {
+        if (speed === 0 && lookStep >= 0) endLookAround();
+        emitUpdate();
+      }
+
+      // If playing and speed is "skip" (0), jump to next immediately
+      if (isPlaying && speed === 0) {
+        if (playTimer) clearTimeout(playTimer);
+        next();
+      }
+    }
+
+    /**
+     * Turn the approach fly-through on or off. Takes effect from the next
+     * junction shown; turning it off mid-approach jumps to the junction.
+     */
+    function setApproachMode(enabled) {
+      approachMode = Boolean(enabled);
+      if (!approachMode && approachFrame >= 0) {
+        arrive();
+        if (isPlaying) scheduleNext();
+      } else if (panorama) {
+        emitUpdate();
+      }
+    }
+
+    /**
+     * Jump to a specific junction by index.
+     */
+    function goTo(index) {
+      showPoint(index);
+      if (isPlaying) scheduleNext();
+    }
+
+    /**
+     * Schedule the next auto-advance.
+     */
+    function scheduleNext() {
+      if (playTimer) clearTimeout(playTimer);
+      if (!isPlaying) return;
+      if (approachFrame >= 0) {
+        scheduleApproachFrame();
+        return;
+      }
+      // finishLookAround() schedules once the script is done
+      if (lookStep >= 0) return;
+      // answerQuiz() schedules once the user has picked
+      if (isQuizPending()) return;
+      if (isAtEnd()) {
+        finish();
+        return;
+      }
+
+      // Speed 0 = skip immediately. A loop would skip round forever, so it
+      // plays at normal speed instead
+      if (speed === 0 && !loop) {
+        next();
+        return;
+      }
+
+      let delay = BASE_DWELL / (speed || 1);
+      const currentPoint = points[currentIndex];
+      if (currentPoint && currentPoint.isDecisionPoint) {
+        delay *= DECISION_DWELL_MULTIPLIER;
+      }
+      // Hold the timer until the image is up, so slow loads don't eat the dwell
+      whenPanoReady(() => {
+        if (!isPlaying) return;
+        playTimer = setTimeout(() => {
+          whenSpeechDone(() => {
+            if (isPlaying) next();
+          });
+        }, delay);
+      });
+    }
+
+    /**
+     * Get current state.
+     */
+    function getState() {
+      return {
+        currentIndex,
+        total: points.length,
+        point: points[currentIndex] || null,
+        isPlaying,
+        speed,
+        progress: points.length > 0 ? ((currentIndex + 1) / points.length) * 100 : 0,
+        isFirst: currentIndex === 0 && approachFrame <= 0,
+        isLast: isAtEnd() && approachFrame < 0,
+        approachMode,
+        isApproaching: approachFrame >= 0,
+        approachFrame,
+        approachTotal: getApproachFrames().length,
+        metersToJunction: approachFrame >= 0 ? getApproachFrames()[approachFrame].metersBefore : 0,
+        lookMode,
+        isLookingAround: lookStep >= 0,
+        lookCaption: lookStep >= 0 && lookScript[lookStep] ? lookScript[lookStep].caption : '',
+        quizMode,
+        quiz: getQuizState(),
+        quizScore: quizMode ? getQuizScore() : null,
+        loop: getLoopState(),
+      };
+    }
+
+    /**
+     * The current quiz for display. The answer stays null until the user
+     * has picked, so the UI can't give it away.
+     */
+    function getQuizState() {
+      const quiz = approachFrame < 0 ? getQuiz(currentIndex) : null;
+      if (!quiz) return null;
+      const revealed = quiz.picked !== null;
+      return {
+        question: quiz.question,
+        choices: quiz.choices,
+        picked: quiz.picked,
+        answer: revealed ? quiz.answer : null,
+        isCorrect: revealed ? quiz.picked === quiz.answer : null,
+      };
+    }
+
+    function emitUpdate() {
+      if (listeners.update && listeners.update.length) emit('update', getState());
+    }
+
+    /**
+     * Where the camera is looking, or null before init().
+     * @returns {{heading: number, pitch: number, zoom: number}|null}
+     */
+    function getView() {
+      if (!panorama) return null;
+      const pov = panorama.getPov();
+      return { heading: pov.heading, pitch: pov.pitch, zoom: panorama.getZoom() || 0 };
+    }
+
+    function emitView() {
+      if (panorama) emit('viewchange', getView());
+    }
+
+    // ---- Events ----
+
+    /**
+     * Listen for an event. Listeners stay across init() and destroy(), so
+     * one player can be reused for several rehearsals.
+     * @param {string} event - one of EVENTS
+     * @param {Function} listener - called with the event's details
+     * @returns {Function} removes the listener
+     */
+    function on(event, listener) {
+      if (!EVENTS.includes(event)) throw new Error(`RehearsalPlayer: unknown event "${event}"`);
+      (listeners[event] = listeners[event] || []).push(listener);
+      return () => off(event, listener);
+    }
+
+    function off(event, listener) {
+      if (!listeners[event]) return;
+      listeners[event] = listeners[event].filter(l => l !== listener);
+    }
+
+    /**
+     * Call an event's listeners. One failing listener doesn't stop the
+     * others or playback.
+     */
+    function emit(event, detail) {
+      (listeners[event] || []).slice().forEach(listener => {
+        try {
+          listener(detail);
+        } catch (err) {
+          console.error(`RehearsalPlayer ${event} listener failed:`, err);
+        }
+      });
+    }
+
+    /**
+     * Plain-data copy of where the rehearsal is, safe to JSON.stringify:
+     * position, modes, loop, quiz answers and dwell per point.
+     */
+    function getSnapshot() {
+      const answers = {};
+      Object.keys(quizzes).forEach(index => {
+        if (quizzes[index].picked !== null) answers[index] = quizzes[index].picked;
+      });
+      return {
+        currentIndex,
+        total: points.length,
+        approachFrame,
+        isPlaying,
+        speed,
+        approachMode,
+        lookMode,
+        quizMode,
+        narrationEnabled,
+        loop: getLoopState(),
+        quizAnswers: answers,
+        quizScore: getQuizScore(),
+        dwellSeconds: points.map(pt => (typeof pt.dwellSeconds === 'number' ? pt.dwellSeconds : null)),
+      };
+    }
+
+    /**
+     * Pick up from a getSnapshot(): dwell times, quiz answers, speed and
+     * the point being shown. Modes and the loop are left as they are set.
+     * Call after init() with the same points.
+     * @param {Object} snapshot - from getSnapshot(), possibly via JSON
+     */
+    function restore(snapshot) {
+      if (!snapshot || !panorama || snapshot.total !== points.length) return;
+
+      const wasPending = isQuizPending();
+      (snapshot.dwellSeconds || []).forEach((dwellSeconds, index) => {
+        if (typeof dwellSeconds === 'number') points[index].dwellSeconds = dwellSeconds;
+      });
+      Object.keys(snapshot.quizAnswers || {}).forEach(key => {
+        const pt = points[key];
+        if (pt && pt.commitmentLevel === 'high') {
+          quizzes[key] = { ...buildQuiz(pt), picked: snapshot.quizAnswers[key] };
+        }
+      });
+
+      if (typeof snapshot.speed === 'number' && snapshot.speed !== speed) setSpeed(snapshot.speed);
+      const index = Math.min(Math.max(snapshot.currentIndex || 0, 0), points.length - 1);
+      if (index !== currentIndex) {
+        goTo(index);
+      } else {
+        // The point showing may just have had its quiz answered
+        if (wasPending && !isQuizPending()) {
+          startLookAround();
+          narrate();
+        }
+        emitUpdate();
+      }
+    }
+
+    /**
+     * Clean up.
+     */
+    function destroy() {
+      pause();
+      recordCurrentDwell();
+      clearApproachTimer();
+      stopLookAround();
+      stopNarration();
+      approachFrame = -1;
+      loop = null;
+      expectPanoLoad(true);
+      removePreloaders();
+      panorama = null;
+      points = [];
+      lastShownAt = null;
+    }
+
+    function recordCurrentDwell() {
+      if (lastShownAt !== null && points[currentIndex]) {
+        const dwellSeconds = (Date.now() - lastShownAt) / 1000;
+        points[currentIndex].dwellSeconds = dwellSeconds;
+        emit('dwellrecorded', { index: currentIndex, dwellSeconds });
+      }
+      lastShownAt = null;
     }
-    playTimer = setTimeout(() => {
-      next();
-    }, delay);
-  }
 
-  /**
-   * Get current state.
-   */
-  function getState() {
     return {
-      currentIndex,
-      total: points.length,
-      point: points[currentIndex] || null,
-      isPlaying,
-      speed,
-      progress: points.length > 0 ? ((currentIndex + 1) / points.length) * 100 : 0,
-      isFirst: currentIndex === 0,
-      isLast: currentIndex === points.length - 1,
+      init,
+      play,
+      pause,
+      togglePlay,
+      next,
+      prev,
+      setSpeed,
+      setApproachMode,
+      setLookAround,
+      setQuizMode,
+      setNarration,
+      answerQuiz,
+      getQuizScore,
+      setRepeat,
+      setLoop,
+      setDrill,
+      clearLoop,
+      goTo,
+      getState,
+      getView,
+      getSnapshot,
+      restore,
+      on,
+      off,
+      destroy,
     };
   }
 
-  function emitUpdate() {
-    if (onUpdate) onUpdate(getState());
-  }
-
   /**
-   * Clean up.
+   * 1 -> '1st', 2 -> '2nd', 11 -> '11th', for roundabout exits.
+   * @param {number} n
    */
-  function destroy() {
-    pause();
-    recordCurrentDwell();
-    panorama = null;
-    points = [];
-    lastShownAt = null;
-  }
-
-  function recordCurrentDwell() {
-    if (lastShownAt !== null && points[currentIndex]) {
-      const dwellSeconds = (Date.now() - lastShownAt) / 1000;
-      points[currentIndex].dwellSeconds = dwellSeconds;
-    }
-    lastShownAt = null;
+  function formatOrdinal(n) {
+    const tens = n % 100;
+    if (tens >= 11 && tens <= 13) return n + 'th';
+    return n + ({ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th');
   }
 
-  return {
-    init,
-    play,
-    pause,
-    togglePlay,
-    next,
-    prev,
-    setSpeed,
-    goTo,
-    getState,
-    destroy,
-  };
+  return { create, formatOrdinal };
 
 })();
@@ -1,7 +1,7 @@
 /**
  * RouteAnalyzer
- * Parses Google Directions API response and extracts complex junctions
- * that a driver would benefit from rehearsing.
+ * Parses a normalized route (see RouteProviders) and extracts complex
+ * junctions that a driver would benefit from rehearsing.
  */
 const RouteAnalyzer = (() => {
 
@@ -20,84 +20,441 @@ const RouteAnalyzer = (() => {
     'uturn-right':      'uturn',
   };
 
-  const ROUNDABOUT_PATTERNS = [
-    /roundabout/i,
-    /exit\s+the\s+roundabout/i,
-    /traffic\s+circle/i,
-    /gyratory/i,
-    /rotary/i,
-    /take\s+the\s+\d+(st|nd|rd|th)\s+exit/i,
-  ];
+  // Instruction pattern packs, one per Directions language. Each pack
+  // covers the same signals; `exitOrdinal` must capture the exit number.
+  const LOCALES = {
+    en: {
+      roundabout: [
+        /roundabout/i,
+        /exit\s+the\s+roundabout/i,
+        /traffic\s+circle/i,
+        /gyratory/i,
+        /rotary/i,
+        /take\s+the\s+\d+(st|nd|rd|th)\s+exit/i,
+      ],
+      laneCommitment: [
+        /keep\s+left/i,
+        /keep\s+right/i,
+        /use\s+the\s+left\s+lane/i,
+        /use\s+the\s+right\s+lane/i,
+        /stay\s+in\s+the\s+left/i,
+        /stay\s+in\s+the\s+right/i,
+        /merge/i,
+        /slip\s+road/i,
+        /exit/i,
+        /take\s+the\s+ramp/i,
+        /keep\s+to/i,
+      ],
+      prepare: [
+        /prepare/i,
+        /keep/i,
+        /merge/i,
+        /exit/i,
+        /take\s+the\s+ramp/i,
+      ],
+      visualOverload: [
+        /signs?/i,
+        /towards/i,
+        /\bA\d+\b/i,
+        /\bM\d+\b/i,
+        /\bB\d+\b/i,
+        /destination/i,
+        /follow/i,
+      ],
+      socialPressure: [
+        /city\s+centre/i,
+        /airport/i,
+        /hospital/i,
+      ],
+      // Keywords in HTML instructions that signal complexity
+      complexity: [
+        { pattern: /merge\s+onto/i,         type: 'merge' },
+        { pattern: /take\s+the\s+ramp/i,    type: 'merge' },
+        { pattern: /keep\s+(left|right)/i,  type: 'fork' },
+        { pattern: /fork/i,                 type: 'fork' },
+        { pattern: /sharp\s+(left|right)/i, type: 'sharp-turn' },
+        { pattern: /u-turn/i,              type: 'uturn' },
+        { pattern: /lane/i,                type: 'complex' },
+        { pattern: /slip\s+road/i,         type: 'merge' },
+      ],
+      exitOrdinal: /(\d+)(st|nd|rd|th)\s+exit/i,
+      cruise: [
+        /continue\s+on\s+[am]\d+/i,
+        /continue\s+for\s+\d+/i,
+        /continue\s+straight/i,
+      ],
+      cruiseCues: [/exit/i, /merge/i],
+      direction: {
+        uturn: /u-?\s?turn/i,
+        left: /left/i,
+        right: /right/i,
+        straight: /straight|continue|ahead/i,
+      },
+    },
+    fr: {
+      roundabout: [
+        /rond-point/i,
+        /giratoire/i,
+        /\d+\s*(re|er|e|ème)\s+sortie/i,
+      ],
+      laneCommitment: [
+        /serrer\s+à\s+(gauche|droite)/i,
+        /voie\s+de\s+(gauche|droite)/i,
+        /rester\s+à\s+(gauche|droite)/i,
+        /s['’]insérer/i,
+        /insertion/i,
+        /bretelle/i,
+        /sortie/i,
+      ],
+      prepare: [
+        /préparer/i,
+        /serrer/i,
+        /rester/i,
+        /s['’]insérer/i,
+        /sortie/i,
+        /bretelle/i,
+      ],
+      visualOverload: [
+        /panneaux?/i,
+        /direction/i,
+        /\b[ADN]\d+\b/,
+        /\bE\d+\b/,
+        /destination/i,
+        /suivre/i,
+      ],
+      socialPressure: [
+        /centre[-\s]ville/i,
+        /aéroport/i,
+        /hôpital/i,
+      ],
+      complexity: [
+        { pattern: /s['’]insérer\s+sur/i,                     type: 'merge' },
+        { pattern: /bretelle/i,                               type: 'merge' },
+        { pattern: /serrer\s+à\s+(gauche|droite)/i,           type: 'fork' },
+        { pattern: /bifurcation|embranchement/i,              type: 'fork' },
+        { pattern: /(fortement|franchement)\s+à\s+(gauche|droite)/i, type: 'sharp-turn' },
+        { pattern: /demi-tour/i,                              type: 'uturn' },
+        { pattern: /voie/i,                                   type: 'complex' },
+      ],
+      exitOrdinal: /(\d+)\s*(?:re|er|e|ème)\s+sortie/i,
+      cruise: [
+        /continuer\s+sur\s+(l['’])?[ANE]\d+/i,
+        /continuer\s+(sur|pendant)\s+\d+/i,
+        /continuer\s+tout\s+droit/i,
+      ],
+      cruiseCues: [/sortie/i, /s['’]insérer/i],
+      direction: {
+        uturn: /demi-tour/i,
+        left: /gauche/i,
+        right: /droite/i,
+        straight: /tout\s+droit|continuer/i,
+      },
+    },
+    de: {
+      roundabout: [
+        /kreisverkehr/i,
+        /kreisel/i,
+        /\d+\.\s*ausfahrt/i,
+      ],
+      laneCommitment: [
+        /links\s+halten/i,
+        /rechts\s+halten/i,
+        /(linke|rechte)[nr]?\s+(fahr)?spur/i,
+        /auffahren/i,
+        /einfädeln/i,
+        /ausfahrt/i,
+        /abfahrt/i,
+      ],
+      prepare: [
+        /halten/i,
+        /einordnen/i,
+        /auffahren/i,
+        /ausfahrt/i,
+        /abfahrt/i,
+      ],
+      visualOverload: [
+        /schilder|beschilderung/i,
+        /richtung/i,
+        /\b[ABL]\s?\d+\b/,
+        /\bE\d+\b/,
+        /ziel/i,
+        /folgen/i,
+      ],
+      socialPressure: [
+        /zentrum|stadtmitte|innenstadt/i,
+        /flughafen/i,
+        /krankenhaus|klinikum/i,
+      ],
+      complexity: [
+        { pattern: /auffahren/i,                 type: 'merge' },
+        { pattern: /auffahrt/i,                  type: 'merge' },
+        { pattern: /(links|rechts)\s+halten/i,   type: 'fork' },
+        { pattern: /gabelung/i,                  type: 'fork' },
+        { pattern: /scharf\s+(links|rechts)/i,   type: 'sharp-turn' },
+        { pattern: /wenden/i,                    type: 'uturn' },
+        { pattern: /spur/i,                      type: 'complex' },
+      ],
+      exitOrdinal: /(\d+)\.\s*ausfahrt/i,
+      cruise: [
+        /weiter\s+auf\s+(der\s+)?[AB]\s?\d+/i,
+        /weiter\s+für\s+\d+/i,
+        /geradeaus\s+weiter/i,
+      ],
+      cruiseCues: [/ausfahrt/i, /auffahren/i, /einfädeln/i],
+      direction: {
+        uturn: /wenden/i,
+        left: /links/i,
+        right: /rechts/i,
+        straight: /geradeaus|weiter/i,
+      },
+    },
+    es: {
+      roundabout: [
+        /rotonda/i,
+        /glorieta/i,
+        /\d+\.?\s*ª?\s*salida/i,
+      ],
+      laneCommitment: [
+        /mantente\s+a\s+la\s+(izquierda|derecha)/i,
+        /carril\s+(izquierdo|derecho)/i,
+        /incorp[oó]rate/i,
+        /incorporación/i,
+        /salida/i,
+        /rampa/i,
+        /vía\s+de\s+servicio/i,
+      ],
+      prepare: [
+        /prepárate/i,
+        /mantente/i,
+        /incorp/i,
+        /salida/i,
+        /rampa/i,
+      ],
+      visualOverload: [
+        /señal(es)?/i,
+        /dirección|hacia/i,
+        /\b[AMN]-?\d+\b/,
+        /\bE\d+\b/,
+        /destino/i,
+        /sigue\s+las/i,
+      ],
+      socialPressure: [
+        /centro/i,
+        /aeropuerto/i,
+        /hospital/i,
+      ],
+      complexity: [
+        { pattern: /incorp[oó]rate\s+a/i,                       type: 'merge' },
+        { pattern: /rampa/i,                                    type: 'merge' },
+        { pattern: /mantente\s+a\s+la\s+(izquierda|derecha)/i,  type: 'fork' },
+        { pattern: /bifurcación/i,                              type: 'fork' },
+        { pattern: /bruscamente|pronunciad/i,                   type: 'sharp-turn' },
+        { pattern: /cambio\s+de\s+sentido/i,                    type: 'uturn' },
+        { pattern: /carril/i,                                   type: 'complex' },
+      ],
+      exitOrdinal: /(\d+)\.?\s*ª?\s*salida/i,
+      cruise: [
+        /continúa\s+por\s+(la\s+)?[AMN]-?\d+/i,
+        /continúa\s+durante\s+\d+/i,
+        /continúa\s+recto/i,
+      ],
+      cruiseCues: [/salida/i, /incorp/i],
+      direction: {
+        uturn: /cambio\s+de\s+sentido/i,
+        left: /izquierda/i,
+        right: /derecha/i,
+        straight: /recto|continúa/i,
+      },
+    },
+  };
 
-  const LANE_COMMITMENT_PATTERNS = [
-    /keep\s+left/i,
-    /keep\s+right/i,
-    /use\s+the\s+left\s+lane/i,
-    /use\s+the\s+right\s+lane/i,
-    /stay\s+in\s+the\s+left/i,
-    /stay\s+in\s+the\s+right/i,
-    /merge/i,
-    /slip\s+road/i,
-    /exit/i,
-    /take\s+the\s+ramp/i,
-    /keep\s+to/i,
-  ];
+  // Gaeltacht: Google gives English instructions, but signs and
+  // destinations are in Irish and roads are N/R numbered
+  LOCALES.ga = {
+    ...LOCALES.en,
+    visualOverload: LOCALES.en.visualOverload.concat([/\b[NR]\d+\b/, /treoracha/i]),
+    socialPressure: LOCALES.en.socialPressure.concat([/an\s+lár/i, /aerfort/i, /ospidéal/i]),
+  };
 
-  const PREPARE_PATTERNS = [
-    /prepare/i,
-    /keep/i,
-    /merge/i,
-    /exit/i,
-    /take\s+the\s+ramp/i,
-  ];
+  const DEFAULT_LOCALE = 'en';
 
-  const VISUAL_OVERLOAD_PATTERNS = [
-    /signs?/i,
-    /towards/i,
-    /\bA\d+\b/i,
-    /\bM\d+\b/i,
-    /\bB\d+\b/i,
-    /destination/i,
-    /follow/i,
+  // Driving side. Addresses name the country in the directions language,
+  // so the common translations are listed. An address ending in anything
+  // else (no country, a country not listed, bare coordinates) falls back
+  // to the destination coordinates; outside the regions below drives on
+  // the right.
+  const LEFT_HAND_COUNTRIES = [
+    'uk', 'united kingdom', 'royaume-uni', 'vereinigtes königreich', 'reino unido',
+    'ireland', 'éire', 'irlande', 'irland', 'irlanda',
+    'isle of man', 'île de man', 'insel man', 'isla de man', 'jersey', 'guernsey',
+    'malta', 'malte', 'cyprus', 'chypre', 'zypern', 'chipre',
+    'japan', 'japon', 'japón', 'australia', 'australie', 'australien',
+    'new zealand', 'nouvelle-zélande', 'neuseeland', 'nueva zelanda',
+    'south africa', 'afrique du sud', 'südafrika', 'sudáfrica',
+    'india', 'inde', 'indien', 'singapore', 'singapour', 'singapur',
+    'malaysia', 'malaisie', 'malasia', 'hong kong', 'hongkong',
+    'thailand', 'thaïlande', 'tailandia', 'indonesia', 'indonésie', 'indonesien',
   ];
-
-  const SOCIAL_PRESSURE_PATTERNS = [
-    /city\s+centre/i,
-    /airport/i,
-    /hospital/i,
+  const RIGHT_HAND_COUNTRIES = [
+    'usa', 'united states', 'états-unis', 'vereinigte staaten', 'estados unidos', 'ee. uu.',
+    'canada', 'kanada', 'canadá', 'mexico', 'mexique', 'mexiko', 'méxico',
+    'france', 'frankreich', 'francia', 'germany', 'allemagne', 'deutschland', 'alemania',
+    'spain', 'espagne', 'spanien', 'españa', 'portugal', 'italy', 'italie', 'italien', 'italia',
+    'belgium', 'belgique', 'belgien', 'bélgica', 'netherlands', 'pays-bas', 'niederlande', 'países bajos',
+    'luxembourg', 'luxemburg', 'luxemburgo', 'switzerland', 'suisse', 'schweiz', 'suiza',
+    'austria', 'autriche', 'österreich', 'denmark', 'danemark', 'dänemark', 'dinamarca',
+    'sweden', 'suède', 'schweden', 'suecia', 'norway', 'norvège', 'norwegen', 'noruega',
+    'finland', 'finlande', 'finnland', 'finlandia', 'iceland', 'islande', 'island', 'islandia',
+    'poland', 'pologne', 'polen', 'polonia', 'czechia', 'tchéquie', 'tschechien', 'chequia',
+    'greece', 'grèce', 'griechenland', 'grecia', 'croatia', 'croatie', 'kroatien', 'croacia',
+    'andorra', 'andorre', 'monaco', 'mónaco',
   ];
-
-  // Keywords in HTML instructions that signal complexity
-  const COMPLEXITY_KEYWORDS = [
-    { pattern: /merge\s+onto/i,         type: 'merge' },
-    { pattern: /take\s+the\s+ramp/i,    type: 'merge' },
-    { pattern: /keep\s+(left|right)/i,  type: 'fork' },
-    { pattern: /fork/i,                 type: 'fork' },
-    { pattern: /sharp\s+(left|right)/i, type: 'sharp-turn' },
-    { pattern: /u-turn/i,              type: 'uturn' },
-    { pattern: /lane/i,                type: 'complex' },
-    { pattern: /slip\s+road/i,         type: 'merge' },
+  // Polygons of [lat, lng] corners. Great Britain follows the middle of
+  // the Channel, so the French coast from Brittany to Calais stays outside.
+  const LEFT_HAND_REGIONS = [
+    { name: 'Great Britain', polygon: [
+      [49.8, -6.7], [49.8, -5.0], [50.2, -1.5], [50.55, 0.5], [50.85, 1.25], [51.05, 1.45],
+      [51.25, 1.7], [52.3, 2.1], [61.0, 2.1], [61.0, -2.5], [58.6, -9.2], [56.5, -8.0],
+      [55.3, -6.3], [54.0, -5.2], [52.0, -5.8],
+    ] },
+    { name: 'Ireland',         polygon: box(51.3, 55.5, -10.7, -5.3) },
+    { name: 'Channel Islands', polygon: box(49.15, 49.75, -2.7, -2.0) },
+    { name: 'Malta',           polygon: box(35.7, 36.1, 14.1, 14.6) },
+    { name: 'Cyprus',          polygon: box(34.5, 35.7, 32.2, 34.6) },
+    { name: 'Japan',           polygon: box(24.0, 45.6, 122.9, 146.0) },
+    { name: 'Australia',       polygon: box(-43.7, -10.0, 112.9, 153.7) },
+    { name: 'New Zealand',     polygon: box(-47.4, -34.3, 166.3, 178.6) },
   ];
+  const DRIVING_SIDES = ['left', 'right'];
+
+  // Driver profiles: scoring weights, the decision threshold and how many
+  // points to rehearse. 'returning' matches the original hard-coded tuning.
+  const PROFILES = {
+    learner: {
+      label: 'Learner',
+      description: 'More junctions, flags smaller decisions too',
+      weights: {
+        laneCommitment: 6,
+        roundabout: 5,
+        roundaboutExit: 3,
+        smallRoundabout: -1,
+        shortWindowNear: 6,
+        shortWindowFar: 5,
+        signage: 3,
+        pressure: 2,
+        sharpAngle: 4,
+        acuteMerge: 3,
+        dogLeg: 4,
+      },
+      decisionThreshold: 6,
+      minTargetPoints: 8,
+      maxTargetPoints: 16,
+      spacingMeters: 100,
+    },
+    returning: {
+      label: 'Returning driver',
+      description: 'Balanced: roundabouts and lane choices',
+      weights: {
+        laneCommitment: 6,
+        roundabout: 4,
+        roundaboutExit: 2,
+        smallRoundabout: -3,
+        shortWindowNear: 6,
+        shortWindowFar: 4,
+        signage: 2,
+        pressure: 1,
+        sharpAngle: 3,
+        acuteMerge: 2,
+        dogLeg: 3,
+      },
+      decisionThreshold: 8,
+      minTargetPoints: 6,
+      maxTargetPoints: 12,
+      spacingMeters: 150,
+    },
+    confident: {
+      label: 'Confident',
+      description: 'Only the hardest lane commitments',
+      weights: {
+        laneCommitment: 6,
+        roundabout: 3,
+        roundaboutExit: 2,
+        smallRoundabout: -4,
+        shortWindowNear: 6,
+        shortWindowFar: 3,
+        signage: 1,
+        pressure: 0,
+        sharpAngle: 2,
+        acuteMerge: 1,
+        dogLeg: 2,
+      },
+      decisionThreshold: 10,
+      minTargetPoints: 3,
+      maxTargetPoints: 8,
+      spacingMeters: 250,
+    },
+  };
+
+  const DEFAULT_PROFILE = 'returning';
+
+  // Turn geometry, measured between the approach and departure bearings
+  const BEARING_SAMPLE_METERS = 30;
+  const SHARP_TURN_DEGREES = 120;
+  const UTURN_DEGREES = 160;
+  const ACUTE_MERGE_DEGREES = 60;
+  const DOG_LEG_DEGREES = 45;
+  const DOG_LEG_MAX_METERS = 100;
 
-  const SPACING_METERS = 150;
-  const MIN_TARGET_POINTS = 6;
-  const MAX_TARGET_POINTS = 12;
-  const DECISION_SCORE_THRESHOLD = 8;
+  // Approach fly-through: panoramas sampled along the road before each
+  // decision point. Options are clamped to these ranges.
+  const APPROACH_METERS = { min: 200, max: 400, default: 300 };
+  const APPROACH_SPACING_METERS = { min: 20, max: 40, default: 30 };
+
+  // Route difficulty rating
+  const RATING_SCALE = 150;
+  const MAX_DENSITY_BARS = 40;
+  const COMMITMENT_WEIGHTS = { low: 1, medium: 1.5, high: 2 };
+  const RATING_BANDS = [
+    { max: 25,  label: 'Easy' },
+    { max: 50,  label: 'Moderate' },
+    { max: 75,  label: 'Challenging' },
+    { max: 100, label: 'Hard' },
+  ];
+  const BREAKDOWN_CATEGORIES = [
+    { id: 'lane-commitment', label: 'Lane commitments' },
+    { id: 'short-window',    label: 'Short windows' },
+    { id: 'roundabout-exit', label: 'Roundabout exits' },
+    { id: 'signage',         label: 'Signage overload' },
+  ];
 
   /**
-   * Analyze a Directions API route and return decision points.
-   * @param {google.maps.DirectionsResult} result
+   * Analyze a route and return decision points.
+   * @param {Object} result - normalized result from RouteProviders
+   * @param {Object} [options]
+   * @param {string|Object} [options.profile] - profile id from PROFILES, or a
+   *   profile object (missing fields fall back to the default profile)
+   * @param {number} [options.routeIndex=0] - which of result.routes to analyze
+   * @param {string} [options.language] - instruction language, e.g. 'fr' or
+   *   'en-GB'; falls back to result.language, then English
+   * @param {string} [options.drivingSide] - 'left' or 'right'; anything else
+   *   detects it from the route's country
+   * @param {number} [options.approachMeters=300] - how far back along the
+   *   road decision point approaches start (200-400)
+   * @param {number} [options.approachSpacingMeters=30] - distance between
+   *   approach frames (20-40)
    * @returns {Array<DecisionPoint>}
    */
-  function analyze(result) {
-    if (!result || !result.routes || !result.routes.length) {
-      return [];
-    }
+  function analyze(result, options) {
+    const prepared = prepareRoute(result, options);
+    if (!prepared) return [];
 
-    const route = result.routes[0];
-    const flatSteps = flattenSteps(route);
-    const scoredSteps = scoreSteps(flatSteps);
-    const selectedSteps = selectRehearsalSteps(scoredSteps, route);
+    const { config, route, flatSteps, scoredSteps } = prepared;
+    const drivingSide = DRIVING_SIDES.includes(options && options.drivingSide)
+      ? options.drivingSide
+      : getDrivingSide(route);
+    const selectedSteps = selectRehearsalSteps(scoredSteps, route, config);
+    const approachMeters = resolveRange(options && options.approachMeters, APPROACH_METERS);
+    const approachSpacing = resolveRange(options && options.approachSpacingMeters, APPROACH_SPACING_METERS);
 
     return selectedSteps.map((step, idx) => ({
       index: idx,
@@ -106,18 +463,277 @@ const RouteAnalyzer = (() => {
       lat: step.lat,
       lng: step.lng,
       heading: step.heading,
+      entryHeading: roundOrNull(step.entryHeading),
+      exitHeading: roundOrNull(step.exitHeading),
+      turnAngle: roundOrNull(step.turnAngle),
       instruction: step.instruction,
       type: step.type,
       typeLabel: formatTypeLabel(step.type),
       isPrimary: Boolean(step.isPrimary),
       isLeadIn: Boolean(step.isLeadIn),
-      isDecisionPoint: step.score >= DECISION_SCORE_THRESHOLD,
+      isDecisionPoint: step.score >= config.decisionThreshold,
       commitmentLevel: getCommitmentLevel(step),
       score: step.score,
       reasons: step.reasons,
+      factors: step.factors || [],
       distanceMeters: step.distanceMeters,
       distance: step.distanceText,
+      offsetMeters: step.offsetMeters,
       maneuver: step.maneuver || null,
+      direction: getDirection(step, config.locale),
+      exitNumber: getExitNumber(step.instruction, config.locale),
+      drivingSide,
+      approach: step.score >= config.decisionThreshold
+        ? getApproach(flatSteps, step.orderIndex, idx > 0 ? selectedSteps[idx - 1].orderIndex : 0, approachMeters, approachSpacing)
+        : [],
+    }));
+  }
+
+  /**
+   * Every step on a route that scores as a junction, not only the ones
+   * picked for rehearsal (which are capped and spaced out by the profile),
+   * for rating and comparing whole routes.
+   * @param {Object} result - normalized result from RouteProviders
+   * @param {Object} [options] - as for analyze()
+   * @returns {Array<{stepIndex: number, legIndex: number, type: string, score: number, reasons: Array<string>, commitmentLevel: string, offsetMeters: number}>}
+   */
+  function scoreRoute(result, options) {
+    const prepared = prepareRoute(result, options);
+    if (!prepared) return [];
+
+    return prepared.scoredSteps
+      .filter(step => step.score > 0 && !step.exclude)
+      .map(step => ({
+        stepIndex: step.stepIndex,
+        legIndex: step.legIndex,
+        type: step.type,
+        score: step.score,
+        reasons: step.reasons,
+        commitmentLevel: getCommitmentLevel(step),
+        offsetMeters: step.offsetMeters,
+      }));
+  }
+
+  /**
+   * Analyze every route in a result, for comparing alternatives.
+   * @param {Object} result - normalized result from RouteProviders
+   * @param {Object} [options] - as for analyze(); routeIndex is ignored
+   * @returns {Array<{routeIndex: number, route: Object, points: Array<DecisionPoint>, steps: Array, summary: Object}>}
+   */
+  function analyzeAll(result, options) {
+    if (!result || !result.routes) return [];
+    return result.routes.map((route, routeIndex) => {
+      const points = analyze(result, { ...options, routeIndex });
+      const steps = scoreRoute(result, { ...options, routeIndex });
+      return { routeIndex, route, points, steps, summary: summarize(steps, route) };
+    });
+  }
+
+  /**
+   * Headline numbers for a whole route.
+   * @param {Array} steps - from scoreRoute()
+   * @param {Object} route
+   */
+  function summarize(steps, route) {
+    const { distanceMeters, durationSeconds } = getRouteTotals(route);
+    const rating = rate(steps, route);
+
+    return {
+      difficulty: rating.score,
+      difficultyLabel: rating.label,
+      junctionCount: steps.length,
+      roundaboutCount: steps.filter(step => step.type === 'roundabout').length,
+      highCommitmentCount: steps.filter(step => step.commitmentLevel === 'high').length,
+      distanceMeters,
+      durationSeconds,
+    };
+  }
+
+  /**
+   * Whole-route difficulty rating from every scored step (scoreRoute(), not
+   * the capped rehearsal selection) by score and commitment level, on a
+   * 0–100 scale that flattens out for very hard routes. Includes a per-category breakdown and a density series of
+   * summed scores per distance bucket (1 km, wider on long routes).
+   * @returns {{score: number, label: string, breakdown: Array, density: {bucketKm: number, values: Array<number>}}}
+   */
+  function rate(steps, route) {
+    const raw = steps.reduce((sum, step) => {
+      const weight = COMMITMENT_WEIGHTS[step.commitmentLevel] || 1;
+      return sum + Math.max(0, step.score || 0) * weight;
+    }, 0);
+    const score = Math.round(100 * (1 - Math.exp(-raw / RATING_SCALE)));
+    const band = RATING_BANDS.find(b => score <= b.max) || RATING_BANDS[RATING_BANDS.length - 1];
+
+    const breakdown = BREAKDOWN_CATEGORIES.map(category => ({
+      id: category.id,
+      label: category.label,
+      count: steps.filter(step => Array.isArray(step.reasons) && step.reasons.includes(category.id)).length,
+    }));
+
+    return { score, label: band.label, breakdown, density: getDensity(steps, route) };
+  }
+
+  function getDensity(steps, route) {
+    const { distanceMeters } = getRouteTotals(route);
+    const totalKm = distanceMeters / 1000;
+    if (!totalKm) return { bucketKm: 1, values: [] };
+
+    const bucketKm = Math.max(1, Math.ceil(totalKm / MAX_DENSITY_BARS));
+    const values = new Array(Math.ceil(totalKm / bucketKm)).fill(0);
+    steps.forEach(step => {
+      if (typeof step.offsetMeters !== 'number') return;
+      const bucket = Math.min(values.length - 1, Math.floor(step.offsetMeters / 1000 / bucketKm));
+      values[bucket] += Math.max(0, step.score || 0);
+    });
+    return { bucketKm, values };
+  }
+
+  /**
+   * Profile, locale and scored steps for one of a result's routes, or null
+   * when there is no such route.
+   */
+  function prepareRoute(result, options) {
+    if (!result || !result.routes || !result.routes.length) return null;
+    const route = result.routes[(options && options.routeIndex) || 0];
+    if (!route) return null;
+
+    const config = {
+      ...resolveProfile(options && options.profile),
+      locale: resolveLocale((options && options.language) || result.language),
+    };
+    const flatSteps = flattenSteps(route);
+    return { config, route, flatSteps, scoredSteps: scoreSteps(flatSteps, config) };
+  }
+
+  function getRouteTotals(route) {
+    let distanceMeters = 0;
+    let durationSeconds = 0;
+    ((route && route.legs) || []).forEach(leg => {
+      distanceMeters += leg.distanceMeters || 0;
+      durationSeconds += leg.durationSeconds || 0;
+    });
+    return { distanceMeters, durationSeconds };
+  }
+
+  /**
+   * Merge a profile id or partial profile object over the default profile.
+   */
+  function resolveProfile(profile) {
+    const base = PROFILES[DEFAULT_PROFILE];
+    if (!profile) return base;
+    if (typeof profile === 'string') return PROFILES[profile] || base;
+    return {
+      ...base,
+      ...profile,
+      weights: { ...base.weights, ...(profile.weights || {}) },
+    };
+  }
+
+  /**
+   * Pick the pattern pack for a language tag ('fr', 'de-AT', 'en-GB').
+   */
+  function resolveLocale(language) {
+    const tag = String(language || DEFAULT_LOCALE).toLowerCase();
+    return LOCALES[tag] || LOCALES[tag.split(/[-_]/)[0]] || LOCALES[DEFAULT_LOCALE];
+  }
+
+  /**
+   * Languages with a pattern pack.
+   */
+  function getLocales() {
+    return Object.keys(LOCALES);
+  }
+
+  /**
+   * 'left' or 'right' for the country a route ends in, from the destination
+   * address, then the start address, then the destination coordinates.
+   */
+  function getDrivingSide(route) {
+    const legs = (route && route.legs) || [];
+    if (!legs.length) return 'right';
+    const firstLeg = legs[0];
+    const lastLeg = legs[legs.length - 1];
+
+    for (const address of [lastLeg.endAddress, firstLeg.startAddress]) {
+      const country = getAddressCountry(address);
+      if (country) return LEFT_HAND_COUNTRIES.includes(country) ? 'left' : 'right';
+    }
+
+    const lastStep = lastLeg.steps && lastLeg.steps[lastLeg.steps.length - 1];
+    const position = lastStep && lastStep.end;
+    if (!position) return 'right';
+    const inLeftHandRegion = LEFT_HAND_REGIONS.some(region => isInPolygon(position, region.polygon));
+    return inLeftHandRegion ? 'left' : 'right';
+  }
+
+  /**
+   * Whether a {lat, lng} lies inside a polygon of [lat, lng] corners,
+   * by counting the edges a line due east of it crosses.
+   */
+  function isInPolygon(position, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+      const [latA, lngA] = polygon[i];
+      const [latB, lngB] = polygon[j];
+      if ((latA > position.lat) !== (latB > position.lat) &&
+          position.lng < lngA + (position.lat - latA) * (lngB - lngA) / (latB - latA)) {
+        inside = !inside;
+      }
+    }
+    return inside;
+  }
+
+  // Corners of a south/north/west/east bounding box, for isInPolygon()
+  function box(south, north, west, east) {
+    return [[south, west], [north, west], [north, east], [south, east]];
+  }
+
+  /**
+   * The country a formatted address ends in ("Oxford OX3, UK" -> 'uk'),
+   * or null unless that last part is a country listed above.
+   */
+  function getAddressCountry(address) {
+    const parts = String(address || '').split(',');
+    if (parts.length < 2) return null;
+    const country = parts[parts.length - 1].trim().toLowerCase();
+    return LEFT_HAND_COUNTRIES.includes(country) || RIGHT_HAND_COUNTRIES.includes(country) ? country : null;
+  }
+
+  /**
+   * Which way the driver goes at a step: 'uturn', 'left', 'right',
+   * 'straight' or null, from the instruction then the maneuver.
+   */
+  function getDirection(step, locale) {
+    const instruction = step.instruction || '';
+    const { direction } = locale;
+    if (direction.uturn.test(instruction)) return 'uturn';
+    if (direction.left.test(instruction)) return 'left';
+    if (direction.right.test(instruction)) return 'right';
+    if (direction.straight.test(instruction)) return 'straight';
+    const maneuver = step.maneuver || '';
+    if (maneuver.startsWith('uturn')) return 'uturn';
+    if (maneuver.endsWith('left') && !maneuver.startsWith('roundabout')) return 'left';
+    if (maneuver.endsWith('right') && !maneuver.startsWith('roundabout')) return 'right';
+    if (maneuver === 'straight') return 'straight';
+    return null;
+  }
+
+  /**
+   * Roundabout exit number from the instruction, or null.
+   */
+  function getExitNumber(instruction, locale) {
+    const match = (instruction || '').match(locale.exitOrdinal);
+    return match ? parseInt(match[1], 10) : null;
+  }
+
+  /**
+   * List available driver profiles for display.
+   */
+  function getProfiles() {
+    return Object.keys(PROFILES).map(id => ({
+      id,
+      label: PROFILES[id].label,
+      description: PROFILES[id].description,
     }));
   }
 
@@ -138,15 +754,18 @@ const RouteAnalyzer = (() => {
   }
 
   /**
-   * Flatten Directions legs into a single step list.
+   * Flatten route legs into a single step list.
    */
   function flattenSteps(route) {
     const flat = [];
     let orderIndex = 0;
+    let offsetMeters = 0;
     route.legs.forEach((leg, legIndex) => {
       leg.steps.forEach((step, stepIndex) => {
-        const heading = computeHeading(step.start_location, step.end_location);
-        const instructionHtml = step.instructions || '';
+        // Signed range matches google.maps.geometry's computeHeading, which
+        // saved annotation keys were built from
+        const heading = signedAngle(0, bearingBetween(step.start, step.end));
+        const instructionHtml = step.instructionHtml || '';
         const instructionText = stripHtml(instructionHtml);
         flat.push({
           orderIndex,
@@ -154,92 +773,255 @@ const RouteAnalyzer = (() => {
           stepIndex,
           step,
           heading,
-          lat: step.start_location.lat(),
-          lng: step.start_location.lng(),
+          lat: step.start.lat,
+          lng: step.start.lng,
           instructionHtml,
           instruction: instructionText,
-          distanceMeters: step.distance ? step.distance.value : 0,
-          distanceText: step.distance ? step.distance.text : '',
+          distanceMeters: step.distanceMeters || 0,
+          distanceText: step.distanceText || '',
           maneuver: step.maneuver || null,
+          path: step.path && step.path.length >= 2 ? step.path : [step.start, step.end],
+          offsetMeters,
         });
+        offsetMeters += step.distanceMeters || 0;
         orderIndex += 1;
       });
     });
-    return flat;
+    return addTurnGeometry(flat);
+  }
+
+  /**
+   * Attach entry/exit bearings and the signed turn angle at the start of
+   * each step. Entry is the bearing over the end of the previous step's
+   * path, exit is the bearing over the start of this step's path.
+   * Positive angles turn right, negative turn left.
+   */
+  function addTurnGeometry(steps) {
+    return steps.map((entry, idx) => {
+      const prev = steps[idx - 1] || null;
+      const entryHeading = prev ? bearingAtPathEnd(prev.path, BEARING_SAMPLE_METERS) : null;
+      const exitHeading = bearingAtPathStart(entry.path, BEARING_SAMPLE_METERS);
+      const turnAngle = entryHeading !== null && exitHeading !== null
+        ? signedAngle(entryHeading, exitHeading)
+        : null;
+      return { ...entry, entryHeading, exitHeading, turnAngle };
+    });
+  }
+
+  /**
+   * Frames leading up to a step, oldest first: positions every `spacing`
+   * metres back along the route, up to `meters` back, each facing along
+   * the road. Stops at `fromOrderIndex` so an approach never runs back
+   * past the previous rehearsal point.
+   * @returns {Array<{lat: number, lng: number, heading: number, metersBefore: number}>}
+   */
+  function getApproach(steps, orderIndex, fromOrderIndex, meters, spacing) {
+    const frames = [];
+    let travelled = 0;
+    let nextSample = spacing;
+
+    for (let s = orderIndex - 1; s >= fromOrderIndex && nextSample <= meters; s--) {
+      const path = steps[s].path;
+      for (let i = path.length - 1; i > 0 && nextSample <= meters; i--) {
+        const from = path[i - 1];
+        const to = path[i];
+        const length = haversineDistance(from.lat, from.lng, to.lat, to.lng);
+        if (length === 0) continue;
+        const heading = signedAngle(0, bearingBetween(from, to));
+        while (nextSample <= travelled + length && nextSample <= meters) {
+          const fraction = (nextSample - travelled) / length;
+          frames.push({
+            lat: to.lat + (from.lat - to.lat) * fraction,
+            lng: to.lng + (from.lng - to.lng) * fraction,
+            heading: Math.round(heading),
+            metersBefore: nextSample,
+          });
+          nextSample += spacing;
+        }
+        travelled += length;
+      }
+    }
+
+    return frames.reverse();
+  }
+
+  function resolveRange(value, range) {
+    if (typeof value !== 'number' || Number.isNaN(value)) return range.default;
+    return clamp(value, range.min, range.max);
+  }
+
+  /**
+   * Bearing over the first `meters` of a path.
+   */
+  function bearingAtPathStart(path, meters) {
+    if (!path || path.length < 2) return null;
+    const start = path[0];
+    let travelled = 0;
+    for (let i = 1; i < path.length; i++) {
+      travelled += haversineDistance(path[i - 1].lat, path[i - 1].lng, path[i].lat, path[i].lng);
+      if (travelled >= meters || i === path.length - 1) {
+        return bearingBetween(start, path[i]);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Bearing over the last `meters` of a path.
+   */
+  function bearingAtPathEnd(path, meters) {
+    if (!path || path.length < 2) return null;
+    const end = path[path.length - 1];
+    let travelled = 0;
+    for (let i = path.length - 2; i >= 0; i--) {
+      travelled += haversineDistance(path[i].lat, path[i].lng, path[i + 1].lat, path[i + 1].lng);
+      if (travelled >= meters || i === 0) {
+        return bearingBetween(path[i], end);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Signed difference from one bearing to another, in (-180, 180].
+   */
+  function signedAngle(fromBearing, toBearing) {
+    let diff = (toBearing - fromBearing) % 360;
+    if (diff > 180) diff -= 360;
+    if (diff <= -180) diff += 360;
+    return diff;
+  }
+
+  function roundOrNull(value) {
+    return typeof value === 'number' ? Math.round(value) : null;
   }
 
   /**
    * Score each step for rehearsal-worthiness.
    */
-  function scoreSteps(steps) {
+  function scoreSteps(steps, config) {
     return steps.map((entry, idx) => {
       const next = steps[idx + 1] || null;
       const prev = steps[idx - 1] || null;
-      const scored = scoreStep(entry, { next, prev });
+      const scored = scoreStep(entry, { next, prev }, config.weights, config.locale);
       return { ...entry, ...scored };
     });
   }
 
-  function scoreStep(entry, context) {
+  /**
+   * Score one step. Each factor that adds points is itemized as
+   * { reason, points, matched }, where matched is the instruction text or
+   * measurement that triggered it, so the UI can explain the score.
+   */
+  function scoreStep(entry, context, weights, locale) {
     const instruction = entry.instruction || '';
     const instructionHtml = entry.instructionHtml || '';
     const lower = instruction.toLowerCase();
     const reasons = [];
+    const factors = [];
     let score = 0;
 
-    if (isMotorwayCruise(lower)) {
-      return { score: 0, reasons: ['motorway-cruise'], exclude: true, type: deriveType(entry.step, instructionHtml), isPrimary: false };
+    function addFactor(reason, points, matched) {
+      score += points;
+      reasons.push(reason);
+      factors.push({ reason, points, matched: matched || null });
     }
 
-    if (matchesAny(LANE_COMMITMENT_PATTERNS, lower)) {
-      score += 6;
-      reasons.push('lane-commitment');
+    if (isMotorwayCruise(lower, locale)) {
+      return { score: 0, reasons: ['motorway-cruise'], factors, exclude: true, type: deriveType(entry.step, instructionHtml, locale), isPrimary: false };
     }
 
-    const isRoundabout = isRoundaboutStep(entry.step, instructionHtml);
+    if (matchesAny(locale.laneCommitment, lower)) {
+      addFactor('lane-commitment', weights.laneCommitment, findMatch(locale.laneCommitment, instruction, lower));
+    }
+
+    const isRoundabout = isRoundaboutStep(entry.step, instructionHtml, locale);
     if (isRoundabout) {
-      score += 4;
-      reasons.push('roundabout');
-      if (hasExitOrdinal(lower)) {
-        score += 2;
-        reasons.push('roundabout-exit');
+      addFactor('roundabout', weights.roundabout, findMatch(locale.roundabout, instruction, instructionHtml));
+      if (hasExitOrdinal(lower, locale)) {
+        addFactor('roundabout-exit', weights.roundaboutExit, findMatch([locale.exitOrdinal], instruction, lower));
       } else if (entry.distanceMeters > 0 && entry.distanceMeters < 120) {
-        score -= 3;
-        reasons.push('small-roundabout');
+        addFactor('small-roundabout', weights.smallRoundabout, `${Math.round(entry.distanceMeters)} m across`);
       }
     }
 
-    if (context && context.next && isPrepareStep(lower) && isMajorManeuver(context.next.step)) {
+    if (context && context.next && isPrepareStep(lower, locale) && isMajorManeuver(context.next.step, locale)) {
       const nextDistance = context.next.distanceMeters || 0;
+      const matched = `${Math.round(nextDistance)} m to the next maneuver`;
       if (nextDistance > 0 && nextDistance <= 120) {
-        score += 6;
-        reasons.push('short-window');
+        addFactor('short-window', weights.shortWindowNear, matched);
       } else if (nextDistance > 0 && nextDistance <= 250) {
-        score += 4;
-        reasons.push('short-window');
+        addFactor('short-window', weights.shortWindowFar, matched);
       }
     }
 
-    if (matchesAny(VISUAL_OVERLOAD_PATTERNS, instructionHtml) || matchesAny(VISUAL_OVERLOAD_PATTERNS, lower)) {
-      score += 2;
-      reasons.push('signage');
+    const geometry = scoreGeometry(entry, context, isRoundabout, instructionHtml, locale);
+    geometry.matches.forEach(({ reason, matched }) => {
+      addFactor(reason, weights[GEOMETRY_WEIGHTS[reason]], matched);
+    });
+
+    if (matchesAny(locale.visualOverload, instructionHtml) || matchesAny(locale.visualOverload, lower)) {
+      addFactor('signage', weights.signage, findMatch(locale.visualOverload, instruction, lower, instructionHtml));
+    }
+
+    if (matchesAny(locale.socialPressure, lower)) {
+      addFactor('pressure', weights.pressure, findMatch(locale.socialPressure, instruction, lower));
+    }
+
+    if (!hasComplexitySignal(entry.step, instructionHtml, locale) && score === 0) {
+      return { score: 0, reasons, factors, exclude: true, type: deriveType(entry.step, instructionHtml, locale), isPrimary: false };
+    }
+
+    const type = geometry.type || deriveType(entry.step, instructionHtml, locale);
+    return { score, reasons, factors, exclude: false, type, isPrimary: isRoundabout };
+  }
+
+  const GEOMETRY_WEIGHTS = {
+    'sharp-angle': 'sharpAngle',
+    'acute-merge': 'acuteMerge',
+    'dog-leg':     'dogLeg',
+  };
+
+  /**
+   * Find turns the instruction text undersells: sharp turns described as a
+   * plain turn, merges joining at a steep angle, and dog-leg junctions
+   * where a short step turns one way then straight back the other.
+   * Roundabouts are skipped; their entry-to-exit angle says nothing about
+   * how tight the maneuver is.
+   */
+  function scoreGeometry(entry, context, isRoundabout, instructionHtml, locale) {
+    const matches = [];
+    let type = null;
+    const angle = entry.turnAngle;
+    if (isRoundabout || typeof angle !== 'number') {
+      return { matches, type };
+    }
+
+    const textType = deriveType(entry.step, instructionHtml, locale);
+    const magnitude = Math.abs(angle);
+
+    if (magnitude >= SHARP_TURN_DEGREES && textType !== 'sharp-turn' && textType !== 'uturn') {
+      matches.push({ reason: 'sharp-angle', matched: `${Math.round(magnitude)}° turn` });
+      type = magnitude >= UTURN_DEGREES ? 'uturn' : 'sharp-turn';
     }
 
-    if (matchesAny(SOCIAL_PRESSURE_PATTERNS, lower)) {
-      score += 1;
-      reasons.push('pressure');
+    if ((textType === 'merge' || textType === 'fork') && magnitude >= ACUTE_MERGE_DEGREES) {
+      matches.push({ reason: 'acute-merge', matched: `joins at ${Math.round(magnitude)}°` });
     }
 
-    if (!hasComplexitySignal(entry.step, instructionHtml) && score === 0) {
-      return { score: 0, reasons, exclude: true, type: deriveType(entry.step, instructionHtml), isPrimary: false };
+    const prev = context && context.prev;
+    if (prev && typeof prev.turnAngle === 'number' &&
+        prev.distanceMeters > 0 && prev.distanceMeters <= DOG_LEG_MAX_METERS &&
+        Math.abs(prev.turnAngle) >= DOG_LEG_DEGREES && magnitude >= DOG_LEG_DEGREES &&
+        Math.sign(prev.turnAngle) !== Math.sign(angle)) {
+      matches.push({ reason: 'dog-leg', matched: `${Math.round(prev.distanceMeters)} m between opposite turns` });
     }
 
-    const type = deriveType(entry.step, instructionHtml);
-    return { score, reasons, exclude: false, type, isPrimary: isRoundabout };
+    return { matches, type };
   }
 
-  function selectRehearsalSteps(steps, route) {
-    const target = getTargetCount(route);
+  function selectRehearsalSteps(steps, route, config) {
+    const target = getTargetCount(route, config);
     const candidates = steps.filter(step => step.score > 0 && !step.exclude);
     const sorted = [...candidates].sort((a, b) => {
       if (b.score !== a.score) return b.score - a.score;
@@ -249,7 +1031,7 @@ const RouteAnalyzer = (() => {
     const selectedMain = [];
     for (const candidate of sorted) {
       if (selectedMain.length >= target) break;
-      if (isTooClose(candidate, selectedMain, SPACING_METERS)) continue;
+      if (isTooClose(candidate, selectedMain, config.spacingMeters)) continue;
       selectedMain.push(candidate);
     }
 
@@ -257,7 +1039,7 @@ const RouteAnalyzer = (() => {
     selectedMain.forEach(step => selected.set(step.orderIndex, { ...step, isLeadIn: false }));
 
     selectedMain.forEach(step => {
-      const leadIn = getLeadInStep(step, steps);
+      const leadIn = getLeadInStep(step, steps, config.locale);
       if (!leadIn) return;
       if (!selected.has(leadIn.orderIndex)) {
         selected.set(leadIn.orderIndex, {
@@ -269,31 +1051,31 @@ const RouteAnalyzer = (() => {
     });
 
     let result = Array.from(selected.values()).sort((a, b) => a.orderIndex - b.orderIndex);
-    if (result.length > MAX_TARGET_POINTS) {
-      result = trimToMaxPoints(result);
+    if (result.length > config.maxTargetPoints) {
+      result = trimToMaxPoints(result, config.maxTargetPoints);
     }
     return result;
   }
 
-  function getLeadInStep(step, steps) {
+  function getLeadInStep(step, steps, locale) {
     const prev = steps[step.orderIndex - 1];
     if (!prev) return null;
-    if (prev.distanceMeters > 40 || isPrepareStep(prev.instruction.toLowerCase())) {
+    if (prev.distanceMeters > 40 || isPrepareStep(prev.instruction.toLowerCase(), locale)) {
       return prev;
     }
     return null;
   }
 
-  function trimToMaxPoints(points) {
+  function trimToMaxPoints(points, maxPoints) {
     let result = [...points];
     const leadIns = result.filter(pt => pt.isLeadIn).sort((a, b) => a.score - b.score);
-    while (result.length > MAX_TARGET_POINTS && leadIns.length) {
+    while (result.length > maxPoints && leadIns.length) {
       const toRemove = leadIns.shift();
       result = result.filter(pt => pt.orderIndex !== toRemove.orderIndex);
     }
-    if (result.length > MAX_TARGET_POINTS) {
+    if (result.length > maxPoints) {
       const nonLead = result.filter(pt => !pt.isLeadIn).sort((a, b) => a.score - b.score);
-      while (result.length > MAX_TARGET_POINTS && nonLead.length) {
+      while (result.length > maxPoints && nonLead.length) {
         const toRemove = nonLead.shift();
         result = result.filter(pt => pt.orderIndex !== toRemove.orderIndex);
       }
@@ -308,29 +1090,27 @@ const RouteAnalyzer = (() => {
     });
   }
 
-  function getTargetCount(route) {
+  function getTargetCount(route, config) {
     let totalMeters = 0;
     route.legs.forEach(leg => {
-      if (leg.distance && typeof leg.distance.value === 'number') {
-        totalMeters += leg.distance.value;
-      }
+      totalMeters += leg.distanceMeters || 0;
     });
-    if (!totalMeters) return 8;
+    if (!totalMeters) return clamp(8, config.minTargetPoints, config.maxTargetPoints);
     const totalKm = totalMeters / 1000;
     const target = Math.round(totalKm / 7) + 5;
-    return clamp(target, MIN_TARGET_POINTS, MAX_TARGET_POINTS);
+    return clamp(target, config.minTargetPoints, config.maxTargetPoints);
   }
 
   function clamp(value, min, max) {
     return Math.max(min, Math.min(max, value));
   }
 
-  function deriveType(step, instructionHtml) {
-    if (isRoundaboutStep(step, instructionHtml)) return 'roundabout';
+  function deriveType(step, instructionHtml, locale) {
+    if (isRoundaboutStep(step, instructionHtml, locale)) return 'roundabout';
     if (step.maneuver && COMPLEX_MANEUVERS[step.maneuver]) {
       return COMPLEX_MANEUVERS[step.maneuver];
     }
-    for (const kw of COMPLEXITY_KEYWORDS) {
+    for (const kw of locale.complexity) {
       if (kw.pattern.test(instructionHtml)) {
         return kw.type;
       }
@@ -338,61 +1118,68 @@ const RouteAnalyzer = (() => {
     return 'complex';
   }
 
-  function isRoundaboutStep(step, instructionHtml) {
-    const instruction = instructionHtml || step.instructions || '';
+  function isRoundaboutStep(step, instructionHtml, locale) {
+    const instruction = instructionHtml || step.instructionHtml || '';
     if (step.maneuver && COMPLEX_MANEUVERS[step.maneuver] === 'roundabout') {
       return true;
     }
-    return ROUNDABOUT_PATTERNS.some(pattern => pattern.test(instruction));
+    return locale.roundabout.some(pattern => pattern.test(instruction));
   }
 
-  function hasComplexitySignal(step, instructionHtml) {
-    const instruction = instructionHtml || step.instructions || '';
-    return COMPLEXITY_KEYWORDS.some(kw => kw.pattern.test(instruction)) ||
-      ROUNDABOUT_PATTERNS.some(pattern => pattern.test(instruction)) ||
-      LANE_COMMITMENT_PATTERNS.some(pattern => pattern.test(instruction));
+  function hasComplexitySignal(step, instructionHtml, locale) {
+    const instruction = instructionHtml || step.instructionHtml || '';
+    return locale.complexity.some(kw => kw.pattern.test(instruction)) ||
+      locale.roundabout.some(pattern => pattern.test(instruction)) ||
+      locale.laneCommitment.some(pattern => pattern.test(instruction));
   }
 
-  function isPrepareStep(instruction) {
-    return PREPARE_PATTERNS.some(pattern => pattern.test(instruction));
+  function isPrepareStep(instruction, locale) {
+    return locale.prepare.some(pattern => pattern.test(instruction));
   }
 
-  function isMajorManeuver(step) {
+  function isMajorManeuver(step, locale) {
     if (!step) return false;
     if (step.maneuver && COMPLEX_MANEUVERS[step.maneuver]) return true;
     if (step.maneuver && (step.maneuver === 'turn-left' || step.maneuver === 'turn-right')) return true;
-    return hasComplexitySignal(step, step.instructions || '');
+    return hasComplexitySignal(step, step.instructionHtml || '', locale);
   }
 
   function matchesAny(patterns, text) {
     return patterns.some(pattern => pattern.test(text));
   }
 
-  function hasExitOrdinal(instruction) {
-    return /(\d+)(st|nd|rd|th)\s+exit/i.test(instruction);
+  /**
+   * Text matched by the first pattern that hits, trying each text in turn
+   * (original case first, so the UI can quote the instruction).
+   */
+  function findMatch(patterns, ...texts) {
+    for (const text of texts) {
+      for (const pattern of patterns) {
+        const match = text.match(pattern);
+        if (match) return stripHtml(match[0]).trim() || null;
+      }
+    }
+    return null;
+  }
+
+  function hasExitOrdinal(instruction, locale) {
+    return locale.exitOrdinal.test(instruction);
   }
 
-  function isMotorwayCruise(instruction) {
-    const isCruise = /continue\s+on\s+[am]\d+/i.test(instruction) ||
-      /continue\s+for\s+\d+/i.test(instruction) ||
-      /continue\s+straight/i.test(instruction);
-    const hasLaneCue = matchesAny(LANE_COMMITMENT_PATTERNS, instruction) ||
-      /exit/i.test(instruction) ||
-      /merge/i.test(instruction);
+  function isMotorwayCruise(instruction, locale) {
+    const isCruise = matchesAny(locale.cruise, instruction);
+    const hasLaneCue = matchesAny(locale.laneCommitment, instruction) ||
+      matchesAny(locale.cruiseCues, instruction);
     return isCruise && !hasLaneCue;
   }
 
   /**
-   * Compute bearing from point A to point B.
+   * Bearing between two {lat, lng} points, in [0, 360).
    */
-  function computeHeading(from, to) {
-    if (typeof google !== 'undefined' && google.maps && google.maps.geometry) {
-      return google.maps.geometry.spherical.computeHeading(from, to);
-    }
-    // Fallback manual calculation
-    const lat1 = toRad(from.lat());
-    const lat2 = toRad(to.lat());
-    const dLng = toRad(to.lng() - from.lng());
+  function bearingBetween(from, to) {
+    const lat1 = toRad(from.lat);
+    const lat2 = toRad(to.lat);
+    const dLng = toRad(to.lng - from.lng);
     const y = Math.sin(dLng) * Math.cos(lat2);
     const x = Math.cos(lat1) * Math.sin(lat2) -
               Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLng);
@@ -402,13 +1189,33 @@ const RouteAnalyzer = (() => {
   function toRad(deg) { return deg * Math.PI / 180; }
   function toDeg(rad) { return rad * 180 / Math.PI; }
 
+  const HTML_ENTITIES = {
+    amp: '&',
+    lt: '<',
+    gt: '>',
+    quot: '"',
+    apos: "'",
+    nbsp: ' ',
+  };
+
   /**
-   * Remove HTML tags from a string.
+   * Remove HTML tags from a string and decode entities. No DOM needed, so
+   * the analyzer also runs under Node.
    */
   function stripHtml(html) {
-    const tmp = document.createElement('div');
-    tmp.innerHTML = html;
-    return tmp.textContent || tmp.innerText || '';
+    return String(html || '')
+      .replace(/<[^>]*>/g, '')
+      .replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+          const code = entity[1].toLowerCase() === 'x'
+            ? parseInt(entity.slice(2), 16)
+            : parseInt(entity.slice(1), 10);
+          // Past the last Unicode code point: leave it as it was written
+          return code <= 0x10FFFF ? String.fromCodePoint(code) : match;
+        }
+        const decoded = HTML_ENTITIES[entity.toLowerCase()];
+        return decoded !== undefined ? decoded : match;
+      });
   }
 
   /**
@@ -438,6 +1245,10 @@ const RouteAnalyzer = (() => {
     return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
   }
 
-  return { analyze };
+  return { analyze, analyzeAll, scoreRoute, summarize, rate, getProfiles, getLocales, getDrivingSide, DEFAULT_PROFILE };
 
 })();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RouteAnalyzer;
+}
@@ -0,0 +1,417 @@
+/**
+ * RouteProviders
+ * Adapters that map routing engine responses (Google Directions, OSRM,
+ * Valhalla) into the plain route model RouteAnalyzer works on.
+ *
+ * Normalized model:
+ *   { provider, language, routes: [{ summary, legs: [{ startAddress,
+ *     endAddress, distanceMeters, durationSeconds, steps: [{ start, end,
+ *     path, instructionHtml, maneuver, distanceMeters, distanceText,
+ *     durationSeconds }] }] }] }
+ * Coordinates are {lat, lng} literals; maneuver uses Google's vocabulary
+ * ('turn-left', 'roundabout-right', 'merge', ...) so every provider is
+ * scored the same way.
+ */
+const RouteProviders = (() => {
+  'use strict';
+
+  // Valhalla maneuver type ids, mapped onto Google maneuver strings
+  const VALHALLA_MANEUVERS = {
+    7:  null,                // becomes
+    8:  'straight',          // continue
+    9:  'turn-slight-right',
+    10: 'turn-right',
+    11: 'turn-sharp-right',
+    12: 'uturn-right',
+    13: 'uturn-left',
+    14: 'turn-sharp-left',
+    15: 'turn-left',
+    16: 'turn-slight-left',
+    17: 'merge',             // ramp straight
+    18: 'ramp-right',
+    19: 'ramp-left',
+    20: 'ramp-right',        // exit right
+    21: 'ramp-left',         // exit left
+    22: 'straight',          // stay straight
+    23: 'keep-right',
+    24: 'keep-left',
+    25: 'merge',
+    26: 'roundabout-right',  // enter roundabout
+    28: 'ferry',
+    37: 'merge',             // merge right
+    38: 'merge',             // merge left
+  };
+
+  const ORDINALS = ['1st', '2nd', '3rd', '4th', '5th', '6th', '7th', '8th', '9th', '10th'];
+  const COMPASS = ['north', 'northeast', 'east', 'southeast', 'south', 'southwest', 'west', 'northwest'];
+
+  /**
+   * Normalize a Google Directions result. Accepts both the Maps JS API
+   * DirectionsResult (LatLng objects, `instructions`, `path`) and the
+   * Directions web service JSON (`html_instructions`, `polyline.points`).
+   * @param {google.maps.DirectionsResult|Object} result
+   * @param {Object} [options]
+   * @param {string} [options.language] - language the instructions are in
+   */
+  function fromGoogle(result, options) {
+    const routes = ((result && result.routes) || []).map(route => ({
+      summary: route.summary || '',
+      legs: (route.legs || []).map(leg => ({
+        startAddress: leg.start_address || '',
+        endAddress: leg.end_address || '',
+        distanceMeters: leg.distance ? leg.distance.value : 0,
+        durationSeconds: leg.duration ? leg.duration.value : 0,
+        steps: (leg.steps || []).map(step => ({
+          start: toLatLngLiteral(step.start_location),
+          end: toLatLngLiteral(step.end_location),
+          path: getGooglePath(step),
+          instructionHtml: step.instructions || step.html_instructions || '',
+          maneuver: step.maneuver || null,
+          distanceMeters: step.distance ? step.distance.value : 0,
+          distanceText: step.distance ? step.distance.text : '',
+          durationSeconds: step.duration ? step.duration.value : 0,
+        })),
+      })),
+    }));
+    return { provider: 'google', language: getLanguage(options), routes };
+  }
+
+  /**
+   * Normalize an OSRM /route/v1 response requested with steps=true.
+   * OSRM has no instruction text, so English instructions are built from
+   * each step's maneuver, road name and destinations.
+   * @param {Object} response
+   * @param {Object} [options]
+   * @param {string} [options.geometries='polyline'] - 'polyline', 'polyline6' or 'geojson'
+   */
+  function fromOsrm(response, options) {
+    if (!response || (response.code && response.code !== 'Ok')) {
+      throw new Error('OSRM: ' + ((response && (response.message || response.code)) || 'empty response'));
+    }
+    const precision = options && options.geometries === 'polyline6' ? 6 : 5;
+    const waypoints = response.waypoints || [];
+
+    const routes = (response.routes || []).map(route => ({
+      summary: (route.legs || []).map(leg => leg.summary).filter(Boolean).join(', '),
+      legs: (route.legs || []).map((leg, legIndex) => {
+        const paths = (leg.steps || []).map(step => decodeGeometry(step.geometry, precision));
+        return {
+          startAddress: waypoints[legIndex] ? waypoints[legIndex].name || '' : '',
+          endAddress: waypoints[legIndex + 1] ? waypoints[legIndex + 1].name || '' : '',
+          distanceMeters: Math.round(leg.distance || 0),
+          durationSeconds: Math.round(leg.duration || 0),
+          steps: (leg.steps || []).map((step, stepIndex) => {
+            const path = paths[stepIndex];
+            const start = lngLatToLiteral(step.maneuver.location);
+            return {
+              start,
+              end: path.length ? path[path.length - 1] : start,
+              path: path.length >= 2 ? path : [start, start],
+              instructionHtml: buildOsrmInstruction(step),
+              maneuver: getOsrmManeuver(step.maneuver),
+              distanceMeters: Math.round(step.distance || 0),
+              distanceText: formatDistanceText(step.distance || 0),
+              durationSeconds: Math.round(step.duration || 0),
+            };
+          }),
+        };
+      }),
+    }));
+    return { provider: 'osrm', language: 'en', routes };
+  }
+
+  /**
+   * Normalize a Valhalla /route response. The main trip comes first,
+   * followed by any `alternates`.
+   * @param {Object} response
+   */
+  function fromValhalla(response) {
+    if (!response || !response.trip) {
+      throw new Error('Valhalla: ' + ((response && (response.error || response.status_message)) || 'empty response'));
+    }
+    const trips = [response.trip].concat((response.alternates || []).map(alt => alt.trip));
+
+    const routes = trips.map(trip => {
+      const toMeters = trip.units === 'miles' ? 1609.344 : 1000;
+      const locations = trip.locations || [];
+
+      return {
+        summary: '',
+        legs: (trip.legs || []).map((leg, legIndex) => {
+          const shape = decodePolyline(leg.shape || '', 6);
+          return {
+            startAddress: getValhallaLocationName(locations[legIndex]),
+            endAddress: getValhallaLocationName(locations[legIndex + 1]),
+            distanceMeters: Math.round(((leg.summary && leg.summary.length) || 0) * toMeters),
+            durationSeconds: Math.round((leg.summary && leg.summary.time) || 0),
+            steps: (leg.maneuvers || []).map(maneuver => {
+              const path = shape.slice(maneuver.begin_shape_index, maneuver.end_shape_index + 1);
+              const start = path[0] || { lat: 0, lng: 0 };
+              const distanceMeters = Math.round((maneuver.length || 0) * toMeters);
+              return {
+                start,
+                end: path[path.length - 1] || start,
+                path: path.length >= 2 ? path : [start, start],
+                instructionHtml: escapeHtml(maneuver.instruction || ''),
+                maneuver: VALHALLA_MANEUVERS[maneuver.type] || null,
+                distanceMeters,
+                distanceText: formatDistanceText(distanceMeters),
+                durationSeconds: Math.round(maneuver.time || 0),
+              };
+            }),
+          };
+        }),
+      };
+    });
+    return { provider: 'valhalla', language: response.trip.language || 'en', routes };
+  }
+
+  /**
+   * Fetch and normalize a route from an OSRM server.
+   * @param {Object} params
+   * @param {string} params.baseUrl - e.g. 'http://localhost:5000'
+   * @param {Array<{lat: number, lng: number}>} params.coordinates - start, stops, end
+   * @param {boolean} [params.alternatives=false]
+   * @param {string} [params.profile='driving']
+   */
+  async function requestOsrm(params) {
+    const coords = params.coordinates.map(c => `${c.lng},${c.lat}`).join(';');
+    const url = `${trimSlash(params.baseUrl)}/route/v1/${params.profile || 'driving'}/${coords}` +
+      `?steps=true&overview=false&geometries=polyline&alternatives=${params.alternatives ? 'true' : 'false'}`;
+    const response = await fetch(url);
+    return fromOsrm(await readJson(response, 'OSRM'), { geometries: 'polyline' });
+  }
+
+  /**
+   * Fetch and normalize a route from a Valhalla server.
+   * @param {Object} params
+   * @param {string} params.baseUrl - e.g. 'http://localhost:8002'
+   * @param {Array<{lat: number, lng: number}>} params.coordinates - start, stops, end
+   * @param {number} [params.alternates=0] - number of alternative routes
+   * @param {string} [params.language='en-GB']
+   */
+  async function requestValhalla(params) {
+    const body = {
+      locations: params.coordinates.map(c => ({ lat: c.lat, lon: c.lng })),
+      costing: 'auto',
+      alternates: params.alternates || 0,
+      directions_options: { units: 'kilometers', language: params.language || 'en-GB' },
+    };
+    const response = await fetch(`${trimSlash(params.baseUrl)}/route`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+    return fromValhalla(await readJson(response, 'Valhalla'));
+  }
+
+  /**
+   * The body of a successful response. Anything else throws, with the
+   * server's own message where its error body has one.
+   */
+  async function readJson(response, provider) {
+    if (response.ok) return response.json();
+    let detail = '';
+    try {
+      const body = JSON.parse(await response.text());
+      detail = body.message || body.error || body.status_message || '';
+    } catch (e) {
+      // Not JSON, e.g. a proxy's error page
+    }
+    throw new Error(`${provider}: HTTP ${response.status}${detail ? ' (' + detail + ')' : ''}`);
+  }
+
+  // ---- Google helpers ----
+
+  function getGooglePath(step) {
+    const decoded = step.path || step.lat_lngs;
+    if (Array.isArray(decoded) && decoded.length >= 2) {
+      return decoded.map(toLatLngLiteral);
+    }
+    const encoded = (step.polyline && step.polyline.points) || step.encoded_lat_lngs;
+    if (typeof encoded === 'string' && encoded.length) {
+      const points = decodePolyline(encoded, 5);
+      if (points.length >= 2) return points;
+    }
+    return [toLatLngLiteral(step.start_location), toLatLngLiteral(step.end_location)];
+  }
+
+  function toLatLngLiteral(point) {
+    if (typeof point.lat === 'function') {
+      return { lat: point.lat(), lng: point.lng() };
+    }
+    return { lat: point.lat, lng: point.lng };
+  }
+
+  // ---- OSRM helpers ----
+
+  function getOsrmManeuver(maneuver) {
+    const modifier = maneuver.modifier || '';
+    const side = modifier.includes('left') ? 'left' : 'right';
+    switch (maneuver.type) {
+      case 'merge':
+        return 'merge';
+      case 'on ramp':
+      case 'off ramp':
+        return 'ramp-' + side;
+      case 'fork':
+        return 'fork-' + side;
+      case 'roundabout':
+      case 'rotary':
+      case 'roundabout turn':
+        return 'roundabout-' + side;
+      case 'turn':
+      case 'end of road':
+      case 'continue':
+      case 'new name':
+        if (modifier === 'uturn') return 'uturn-left';
+        if (modifier === 'straight' || !modifier) return 'straight';
+        return 'turn-' + modifier.replace(' ', '-');
+      default:
+        return null;
+    }
+  }
+
+  function buildOsrmInstruction(step) {
+    const maneuver = step.maneuver;
+    const modifier = maneuver.modifier || '';
+    const road = step.ref && step.name && step.name !== step.ref
+      ? `${step.name} (${step.ref})`
+      : step.ref || step.name;
+    const onto = road ? ` onto <b>${escapeHtml(road)}</b>` : '';
+    const towards = step.destinations ? ` towards <b>${escapeHtml(step.destinations)}</b>` : '';
+
+    switch (maneuver.type) {
+      case 'depart':
+        return `Head <b>${compassPoint(maneuver.bearing_after)}</b>${road ? ` on <b>${escapeHtml(road)}</b>` : ''}`;
+      case 'arrive':
+        return 'Arrive at your destination';
+      case 'merge':
+        return `Merge${onto}${towards}`;
+      case 'on ramp':
+        return `Take the ramp${onto}${towards}`;
+      case 'off ramp':
+        return `Take the exit${modifier ? ' on the ' + sideOf(modifier) : ''}${towards || onto}`;
+      case 'fork':
+        return `Keep <b>${sideOf(modifier)}</b> at the fork${towards || onto}`;
+      case 'roundabout':
+      case 'rotary':
+        return maneuver.exit
+          ? `At the roundabout, take the <b>${ordinal(maneuver.exit)}</b> exit${onto}`
+          : `Enter the roundabout${onto}`;
+      case 'roundabout turn':
+        return `At the roundabout, turn <b>${modifier}</b>${onto}`;
+      case 'exit roundabout':
+      case 'exit rotary':
+        return `Exit the roundabout${onto}`;
+      default:
+        if (modifier === 'uturn') return `Make a <b>U-turn</b>${onto}`;
+        if (modifier === 'straight' || !modifier) return `Continue${onto || ' straight'}`;
+        if (modifier.startsWith('slight')) return `Slight <b>${sideOf(modifier)}</b>${onto}`;
+        return `Turn <b>${modifier}</b>${onto}`;
+    }
+  }
+
+  function sideOf(modifier) {
+    return modifier.includes('left') ? 'left' : 'right';
+  }
+
+  function ordinal(n) {
+    return ORDINALS[n - 1] || `${n}th`;
+  }
+
+  function compassPoint(bearing) {
+    return COMPASS[Math.round(((bearing || 0) % 360) / 45) % 8];
+  }
+
+  function decodeGeometry(geometry, precision) {
+    if (!geometry) return [];
+    if (typeof geometry === 'string') return decodePolyline(geometry, precision);
+    return (geometry.coordinates || []).map(lngLatToLiteral);
+  }
+
+  function lngLatToLiteral(coord) {
+    return { lat: coord[1], lng: coord[0] };
+  }
+
+  // ---- Valhalla helpers ----
+
+  // Blank when the stop has no name, as OSRM's are; the UI labels those
+  function getValhallaLocationName(location) {
+    if (!location) return '';
+    return location.name || location.street || '';
+  }
+
+  // ---- Shared helpers ----
+
+  /**
+   * Decode an encoded polyline (Google precision 5, Valhalla precision 6)
+   * into {lat, lng} points.
+   */
+  function decodePolyline(encoded, precision) {
+    const factor = Math.pow(10, precision || 5);
+    const points = [];
+    let index = 0;
+    let lat = 0;
+    let lng = 0;
+
+    while (index < encoded.length) {
+      let result = 0;
+      let shift = 0;
+      let byte;
+      do {
+        byte = encoded.charCodeAt(index++) - 63;
+        result |= (byte & 0x1f) << shift;
+        shift += 5;
+      } while (byte >= 0x20 && index < encoded.length);
+      lat += (result & 1) ? ~(result >> 1) : (result >> 1);
+
+      result = 0;
+      shift = 0;
+      do {
+        byte = encoded.charCodeAt(index++) - 63;
+        result |= (byte & 0x1f) << shift;
+        shift += 5;
+      } while (byte >= 0x20 && index < encoded.length);
+      lng += (result & 1) ? ~(result >> 1) : (result >> 1);
+
+      points.push({ lat: lat / factor, lng: lng / factor });
+    }
+    return points;
+  }
+
+  function formatDistanceText(meters) {
+    if (meters >= 1000) return `${(meters / 1000).toFixed(1)} km`;
+    return `${Math.round(meters)} m`;
+  }
+
+  function getLanguage(options) {
+    return (options && options.language) || null;
+  }
+
+  function escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  function trimSlash(url) {
+    return String(url).replace(/\/+$/, '');
+  }
+
+  return {
+    fromGoogle,
+    fromOsrm,
+    fromValhalla,
+    requestOsrm,
+    requestValhalla,
+    decodePolyline,
+  };
+
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RouteProviders;
+}
@@ -0,0 +1,102 @@
+/**
+ * SessionStore
+ * Keeps the rehearsal in progress in localStorage, so it can be resumed
+ * after a reload or a trip back to the form without asking for directions
+ * again.
+ */
+const SessionStore = (() => {
+
+  // The journey (route and analysed points) is written once per rehearsal;
+  // the position changes often, so it is kept apart and stays small
+  const JOURNEY_STORAGE_KEY = 'dbug-session';
+  const POSITION_STORAGE_KEY = 'dbug-session-position';
+  const VERSION = 1;
+
+  /**
+   * Save the journey being rehearsed, replacing any earlier session.
+   * @param {Object} journey
+   * @param {string} journey.label - e.g. "Oxford → Witney"
+   * @param {Object} journey.route - normalized route from RouteProviders
+   * @param {Array} journey.points - from RouteAnalyzer.analyze()
+   * @param {string} [journey.profile] - driver profile the points were picked with
+   * @returns {boolean} whether it was saved
+   */
+  function start(journey) {
+    localStorage.removeItem(POSITION_STORAGE_KEY);
+    const saved = { version: VERSION, savedAt: Date.now(), ...journey };
+    if (write(JOURNEY_STORAGE_KEY, saved)) return true;
+    // A long route may not fit; the step paths are only drawn on the
+    // mini-map, which falls back to straight lines without them
+    if (write(JOURNEY_STORAGE_KEY, { ...saved, route: withoutPaths(journey.route) })) return true;
+    // Don't leave an older journey behind to be resumed by mistake
+    clear();
+    return false;
+  }
+
+  /**
+   * Save where the rehearsal is.
+   * @param {Object} snapshot - from a player's getSnapshot()
+   */
+  function savePosition(snapshot) {
+    if (!localStorage.getItem(JOURNEY_STORAGE_KEY)) return false;
+    return write(POSITION_STORAGE_KEY, snapshot);
+  }
+
+  /**
+   * The saved session, or null when there is none or it can't be used.
+   * @returns {{label: string, route: Object, points: Array, profile: string|null, snapshot: Object|null, savedAt: number}|null}
+   */
+  function load() {
+    const journey = read(JOURNEY_STORAGE_KEY);
+    if (!journey || journey.version !== VERSION || !Array.isArray(journey.points) || !journey.points.length) {
+      return null;
+    }
+    const snapshot = read(POSITION_STORAGE_KEY);
+    return {
+      label: journey.label || '',
+      route: journey.route,
+      points: journey.points,
+      profile: journey.profile || null,
+      savedAt: journey.savedAt,
+      snapshot: snapshot && snapshot.total === journey.points.length ? snapshot : null,
+    };
+  }
+
+  function clear() {
+    localStorage.removeItem(JOURNEY_STORAGE_KEY);
+    localStorage.removeItem(POSITION_STORAGE_KEY);
+  }
+
+  function write(key, value) {
+    try {
+      localStorage.setItem(key, JSON.stringify(value));
+      return true;
+    } catch (e) {
+      console.warn('Failed to save rehearsal session:', e);
+      return false;
+    }
+  }
+
+  function read(key) {
+    try {
+      return JSON.parse(localStorage.getItem(key) || 'null');
+    } catch (e) {
+      console.warn('Failed to load rehearsal session:', e);
+      return null;
+    }
+  }
+
+  function withoutPaths(route) {
+    if (!route || !Array.isArray(route.legs)) return route;
+    return {
+      ...route,
+      legs: route.legs.map(leg => ({
+        ...leg,
+        steps: leg.steps.map(step => ({ ...step, path: [] })),
+      })),
+    };
+  }
+
+  return { start, savePosition, load, clear };
+
+})();
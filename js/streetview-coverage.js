@@ -0,0 +1,114 @@
+/**
+ * StreetViewCoverage
+ * Checks decision points for Street View imagery and snaps each one to the
+ * panorama on the road the route actually uses.
+ */
+const StreetViewCoverage = (() => {
+
+  // Search radii in metres, tightest first, so a parallel road or slip
+  // road a little further away doesn't win over the route's own road
+  const SEARCH_RADII = [15, 35, 60];
+  // A pano is on the route's road when one of its links runs within this
+  // many degrees of the direction of travel
+  const MAX_LINK_DEVIATION = 40;
+  // Face along a link when it is this close to the point's heading
+  const MAX_VIEW_DEVIATION = 60;
+
+  let service = null;
+
+  /**
+   * Check points in place. Each gets `coverage` ('ok' or 'none') and, when
+   * imagery was found, `pano: { id, lat, lng, heading }` for the player to
+   * show instead of the raw coordinate. Points already checked are skipped;
+   * a point whose lookup failed (network, quota) is left unchecked so a
+   * later call tries it again.
+   * @param {Array} points - from RouteAnalyzer.analyze()
+   * @returns {Promise<Array>} the same points
+   */
+  async function check(points) {
+    if (!service) service = new google.maps.StreetViewService();
+    await Promise.all(points.filter(pt => !pt.coverage).map(checkPoint));
+    return points;
+  }
+
+  async function checkPoint(pt) {
+    const travelHeading = typeof pt.entryHeading === 'number' ? pt.entryHeading : pt.heading;
+    let best = null;
+
+    for (const radius of SEARCH_RADII) {
+      let data;
+      try {
+        data = await getPanorama(pt, radius);
+      } catch (err) {
+        console.warn('Street View lookup failed, will retry:', err);
+        return;
+      }
+      if (!data) continue;
+      const deviation = getLinkDeviation(data.links, travelHeading);
+      if (!best || deviation < best.deviation) best = { data, deviation };
+      if (deviation <= MAX_LINK_DEVIATION) break;
+    }
+
+    if (!best) {
+      pt.coverage = 'none';
+      pt.pano = null;
+      return;
+    }
+
+    const { location, links } = best.data;
+    pt.coverage = 'ok';
+    pt.pano = {
+      id: location.pano,
+      lat: location.latLng.lat(),
+      lng: location.latLng.lng(),
+      heading: getViewHeading(links, pt.heading),
+    };
+  }
+
+  /**
+   * Nearest outdoor pano within `radius`, or null when there is none.
+   * Rejects on any other failure, which says nothing about coverage.
+   */
+  async function getPanorama(pt, radius) {
+    try {
+      const { data } = await service.getPanorama({
+        location: { lat: pt.lat, lng: pt.lng },
+        radius,
+        source: google.maps.StreetViewSource.OUTDOOR,
+        preference: google.maps.StreetViewPreference.NEAREST,
+      });
+      return data;
+    } catch (err) {
+      if (err && err.code === google.maps.StreetViewStatus.ZERO_RESULTS) return null;
+      throw err;
+    }
+  }
+
+  /**
+   * Smallest angle between any of a pano's links and the heading, or 180
+   * when the pano has no links.
+   */
+  function getLinkDeviation(links, heading) {
+    if (!Array.isArray(links) || !links.length || typeof heading !== 'number') return 180;
+    return Math.min(...links.map(link => angleBetween(link.heading, heading)));
+  }
+
+  /**
+   * Heading of the link that best matches the point's heading, so the view
+   * looks straight down the road; the point's own heading when none does.
+   */
+  function getViewHeading(links, heading) {
+    if (!Array.isArray(links) || !links.length) return heading;
+    const closest = links.reduce((a, b) =>
+      angleBetween(a.heading, heading) <= angleBetween(b.heading, heading) ? a : b);
+    return angleBetween(closest.heading, heading) <= MAX_VIEW_DEVIATION ? closest.heading : heading;
+  }
+
+  function angleBetween(a, b) {
+    const diff = Math.abs(a - b) % 360;
+    return diff > 180 ? 360 - diff : diff;
+  }
+
+  return { check };
+
+})();
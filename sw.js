@@ -1,11 +1,18 @@
-const CACHE_NAME = 'drivebeforeyougo-shell-v2';
+const CACHE_NAME = 'drivebeforeyougo-shell-v9';
 const SHELL_ASSETS = [
   '/',
   '/index.html',
   '/css/style.css',
   '/js/app.js',
+  '/js/route-providers.js',
   '/js/route-analyzer.js',
+  '/js/streetview-coverage.js',
+  '/js/narrator.js',
+  '/js/mini-map.js',
+  '/js/session-store.js',
   '/js/rehearsal-player.js',
+  '/js/annotation-pack.js',
+  '/js/annotation-store.js',
   '/js/annotation-editor.js',
   '/manifest.json',
   '/icons/icon-192.png',
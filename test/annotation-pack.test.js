@@ -0,0 +1,109 @@
+/**
+ * AnnotationPack: reading packs and merging them into saved annotations.
+ * Run with: node --test test/
+ */
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const AnnotationPack = require('../js/annotation-pack.js');
+
+function arrow(left) {
+  return { type: 'group', left, top: 40, anchor: { heading: 90, pitch: 0 } };
+}
+
+function callout(number, left) {
+  return {
+    type: 'group',
+    left,
+    top: 80,
+    calloutNumber: number,
+    objects: [{ type: 'circle', radius: 16 }, { type: 'text', text: String(number) }],
+  };
+}
+
+function entry(objects, updated) {
+  return { objects: { version: '5.3.0', objects }, updated };
+}
+
+function packOf(annotations) {
+  return AnnotationPack.parse(JSON.stringify(AnnotationPack.create(annotations)));
+}
+
+test('create: keeps only the requested junctions that have annotations', () => {
+  const saved = {
+    a: entry([arrow(10)], 1),
+    b: entry([arrow(20)], 2),
+    empty: entry([], 3),
+  };
+  const pack = AnnotationPack.create(saved, { keys: ['a', 'empty', 'missing'], label: 'Oxford → Witney' });
+
+  assert.equal(pack.format, AnnotationPack.FORMAT);
+  assert.equal(pack.version, AnnotationPack.VERSION);
+  assert.equal(pack.label, 'Oxford → Witney');
+  assert.deepEqual(Object.keys(pack.annotations), ['a']);
+});
+
+test('parse: rejects files that are not usable packs', () => {
+  assert.throws(() => AnnotationPack.parse('not json'), /valid JSON/);
+  assert.throws(() => AnnotationPack.parse('{"annotations": {}}'), /annotation pack/);
+  assert.throws(
+    () => AnnotationPack.parse(JSON.stringify({ format: AnnotationPack.FORMAT, version: 99, annotations: {} })),
+    /newer version/,
+  );
+});
+
+test('parse: drops entries that are not annotations', () => {
+  const pack = AnnotationPack.parse(JSON.stringify({
+    format: AnnotationPack.FORMAT,
+    version: 1,
+    annotations: { good: entry([arrow(10)]), bad: { objects: 'nope' } },
+  }));
+
+  assert.deepEqual(Object.keys(pack.annotations), ['good']);
+  assert.equal(pack.annotations.good.updated, 0);
+});
+
+test('merge: newer keeps whichever junction was edited last', () => {
+  const existing = { a: entry([arrow(10)], 200), b: entry([arrow(20)], 100) };
+  const pack = packOf({ a: entry([arrow(11)], 150), b: entry([arrow(21)], 300), c: entry([arrow(30)], 50) });
+  const result = AnnotationPack.merge(existing, pack, 'newer');
+
+  assert.equal(result.annotations.a, existing.a);
+  assert.equal(result.annotations.b.objects.objects[0].left, 21);
+  assert.equal(result.annotations.c.objects.objects[0].left, 30);
+  assert.deepEqual(
+    { added: result.added, replaced: result.replaced, combined: result.combined, kept: result.kept },
+    { added: 1, replaced: 1, combined: 0, kept: 1 },
+  );
+  assert.equal(existing.c, undefined, 'existing annotations are not changed');
+});
+
+test('merge: overwrite replaces even newer annotations', () => {
+  const existing = { a: entry([arrow(10)], 500) };
+  const result = AnnotationPack.merge(existing, packOf({ a: entry([arrow(11)], 100) }), 'overwrite');
+
+  assert.equal(result.annotations.a.objects.objects[0].left, 11);
+  assert.equal(result.replaced, 1);
+});
+
+test('merge: both adds the pack alongside, numbering callouts on', () => {
+  const existing = { a: entry([arrow(10), callout(1, 50), callout(2, 60)], 100) };
+  const pack = packOf({ a: entry([arrow(10), callout(1, 70)], 200) });
+  const result = AnnotationPack.merge(existing, pack, 'both');
+  const objects = result.annotations.a.objects.objects;
+
+  assert.equal(result.combined, 1);
+  assert.equal(objects.length, 4, 'the identical arrow is not drawn twice');
+  assert.equal(objects[3].calloutNumber, 3);
+  assert.equal(objects[3].objects[1].text, '3');
+  assert.equal(result.annotations.a.updated, 200);
+
+  // Importing the same pack again adds nothing
+  const again = AnnotationPack.merge(result.annotations, pack, 'both');
+  assert.equal(again.kept, 1);
+  assert.equal(again.annotations.a, result.annotations.a);
+});
+
+test('merge: rejects an unknown strategy', () => {
+  assert.throws(() => AnnotationPack.merge({}, packOf({}), 'shuffle'), /Unknown merge strategy/);
+});
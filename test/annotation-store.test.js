@@ -0,0 +1,235 @@
+/**
+ * AnnotationStore against an in-memory IndexedDB stand-in: migration from
+ * localStorage, size accounting, all-or-nothing saves and the read-only
+ * fallback when IndexedDB can't be opened.
+ * Run with: node --test test/
+ */
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const LEGACY_STORAGE_KEY = 'dbug-annotations';
+
+function entry(count, updated) {
+  return {
+    objects: { version: '5.3.0', objects: Array.from({ length: count }, (_, i) => ({ type: 'circle', left: i })) },
+    updated,
+  };
+}
+
+function fakeLocalStorage(items = {}) {
+  const values = new Map(Object.entries(items));
+  return {
+    getItem: key => (values.has(key) ? values.get(key) : null),
+    setItem: (key, value) => values.set(key, String(value)),
+    removeItem: key => values.delete(key),
+  };
+}
+
+/**
+ * Just enough of IndexedDB for AnnotationStore: one object store keyed by
+ * 'key', requests that succeed on a later tick, and transactions that
+ * commit only when every request succeeded. Set `full` to make puts fail
+ * the way a browser out of space does.
+ */
+function fakeIndexedDB({ failOpen = false } = {}) {
+  const records = new Map();
+  const fake = { records, full: false };
+  let created = false;
+
+  function makeRequest() {
+    return { result: undefined, error: null, onsuccess: null, onerror: null };
+  }
+
+  function transaction() {
+    const staged = new Map(records);
+    const tx = { error: null, oncomplete: null, onerror: null, onabort: null };
+    let pending = 0;
+    let failed = null;
+
+    function settle() {
+      if (pending) return;
+      setImmediate(() => {
+        if (pending) return;
+        if (failed) {
+          tx.error = failed;
+          if (tx.onabort) tx.onabort();
+          return;
+        }
+        records.clear();
+        staged.forEach((value, key) => records.set(key, value));
+        if (tx.oncomplete) tx.oncomplete();
+      });
+    }
+
+    function run(operation) {
+      const request = makeRequest();
+      pending++;
+      setImmediate(() => {
+        try {
+          request.result = operation();
+          if (request.onsuccess) request.onsuccess({ target: request });
+        } catch (e) {
+          request.error = e;
+          failed = e;
+          if (request.onerror) request.onerror({ target: request });
+          if (tx.onerror) tx.onerror({ target: request });
+        }
+        pending--;
+        settle();
+      });
+      return request;
+    }
+
+    tx.objectStore = () => ({
+      get: key => run(() => (staged.has(key) ? structuredClone(staged.get(key)) : undefined)),
+      getAll: () => run(() => [...staged.values()].map(value => structuredClone(value))),
+      put: value => run(() => {
+        if (fake.full) throw Object.assign(new Error('Quota exceeded'), { name: 'QuotaExceededError' });
+        staged.set(value.key, structuredClone(value));
+      }),
+      delete: key => run(() => { staged.delete(key); }),
+    });
+    setImmediate(settle);
+    return tx;
+  }
+
+  const db = {
+    objectStoreNames: { contains: () => created },
+    createObjectStore() { created = true; },
+    transaction,
+  };
+
+  fake.indexedDB = {
+    open() {
+      const request = makeRequest();
+      setImmediate(() => {
+        if (failOpen) {
+          request.error = new Error('Storage is blocked');
+          request.onerror();
+          return;
+        }
+        request.result = db;
+        if (request.onupgradeneeded) request.onupgradeneeded();
+        request.onsuccess();
+      });
+      return request;
+    },
+  };
+  return fake;
+}
+
+// A fresh AnnotationStore, as on page load
+function loadStore(storage, fake) {
+  global.localStorage = storage;
+  if (fake) {
+    global.indexedDB = fake.indexedDB;
+  } else {
+    delete global.indexedDB;
+  }
+  delete require.cache[require.resolve('../js/annotation-store.js')];
+  return require('../js/annotation-store.js');
+}
+
+test('migration moves old annotations across, keeping the newer copy', async () => {
+  const fake = fakeIndexedDB();
+  fake.records.set('kept', { key: 'kept', ...entry(3, 300), size: 0, objectCount: 3 });
+  fake.records.set('replaced', { key: 'replaced', ...entry(1, 100), size: 0, objectCount: 1 });
+  const storage = fakeLocalStorage({
+    [LEGACY_STORAGE_KEY]: JSON.stringify({
+      kept: entry(1, 200),
+      replaced: entry(2, 500),
+      added: entry(1, 50),
+      empty: entry(0, 900),
+    }),
+  });
+  const store = loadStore(storage, fake);
+
+  await store.open();
+
+  assert.equal(storage.getItem(LEGACY_STORAGE_KEY), null);
+  assert.deepEqual([...fake.records.keys()].sort(), ['added', 'kept', 'replaced']);
+  assert.equal(fake.records.get('kept').updated, 300);
+  assert.equal(fake.records.get('replaced').updated, 500);
+  assert.equal(store.has('added'), true);
+  assert.equal(store.has('empty'), false);
+  assert.equal((await store.get('replaced')).objects.objects.length, 2);
+});
+
+test('list and usage report object counts and sizes', async () => {
+  const store = loadStore(fakeLocalStorage(), fakeIndexedDB());
+  const small = entry(1, 10);
+  const large = entry(4, 20);
+
+  await store.putAll({ small, large });
+
+  const listed = Object.fromEntries(store.list().map(item => [item.key, item]));
+  assert.equal(listed.small.objectCount, 1);
+  assert.equal(listed.large.objectCount, 4);
+  assert.equal(listed.large.size, JSON.stringify(large.objects).length);
+
+  const usage = await store.getUsage();
+  assert.equal(usage.junctions, 2);
+  assert.equal(usage.size, listed.small.size + listed.large.size);
+});
+
+test('saving a junction with no objects removes it', async () => {
+  const fake = fakeIndexedDB();
+  const store = loadStore(fakeLocalStorage(), fake);
+
+  await store.put('a', entry(2, 10));
+  await store.put('a', entry(0, 20));
+
+  assert.equal(store.has('a'), false);
+  assert.equal(fake.records.has('a'), false);
+  assert.equal(await store.get('a'), null);
+});
+
+test('putAll saves nothing when storage is full', async () => {
+  const fake = fakeIndexedDB();
+  const store = loadStore(fakeLocalStorage(), fake);
+  await store.put('a', entry(1, 10));
+
+  fake.full = true;
+  const err = await store.putAll({ a: entry(5, 20), b: entry(1, 20) }).catch(e => e);
+
+  assert.ok(store.isFullError(err));
+  assert.equal(fake.records.get('a').objectCount, 1);
+  assert.equal(store.has('b'), false);
+  assert.equal(store.list().find(item => item.key === 'a').objectCount, 1);
+});
+
+test('old annotations that fail to migrate stay readable until saved over', async t => {
+  t.mock.method(console, 'warn', () => {});
+  const fake = fakeIndexedDB();
+  fake.full = true;
+  const storage = fakeLocalStorage({
+    [LEGACY_STORAGE_KEY]: JSON.stringify({ a: entry(2, 10), b: entry(1, 10) }),
+  });
+  const store = loadStore(storage, fake);
+
+  await store.open();
+  assert.equal(store.has('a'), true);
+  assert.equal((await store.get('a')).objects.objects.length, 2);
+
+  fake.full = false;
+  await store.put('a', entry(3, 20));
+  assert.deepEqual(Object.keys(JSON.parse(storage.getItem(LEGACY_STORAGE_KEY))), ['b']);
+  assert.equal((await store.get('a')).objects.objects.length, 3);
+  assert.deepEqual(Object.keys(await store.getAll()).sort(), ['a', 'b']);
+});
+
+test('without IndexedDB, old annotations are read-only', async t => {
+  t.mock.method(console, 'warn', () => {});
+  for (const fake of [null, fakeIndexedDB({ failOpen: true })]) {
+    const storage = fakeLocalStorage({ [LEGACY_STORAGE_KEY]: JSON.stringify({ a: entry(1, 10) }) });
+    const store = loadStore(storage, fake);
+
+    await store.open();
+
+    assert.equal(store.isAvailable(), false);
+    assert.equal(store.has('a'), true);
+    assert.equal((await store.get('a')).objects.objects.length, 1);
+    await assert.rejects(store.put('b', entry(1, 20)), /unavailable/);
+    assert.notEqual(storage.getItem(LEGACY_STORAGE_KEY), null);
+  }
+});
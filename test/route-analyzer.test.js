@@ -0,0 +1,259 @@
+/**
+ * RouteAnalyzer regression suite.
+ * Fixtures are Directions web service responses, so a response saved from
+ * the API can be dropped into test/fixtures and pinned here.
+ * Run with: node --test test/
+ */
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const RouteAnalyzer = require('../js/route-analyzer.js');
+const RouteProviders = require('../js/route-providers.js');
+
+function loadFixture(name) {
+  return RouteProviders.fromGoogle(require(`./fixtures/${name}.json`));
+}
+
+function pick(points) {
+  return points.map(pt => ({ stepIndex: pt.stepIndex, score: pt.score, reasons: pt.reasons }));
+}
+
+// More roundabouts, 1.1 km apart, than any profile rehearses
+function longRoundaboutRoute(count) {
+  const steps = Array.from({ length: count }, (_, i) => ({
+    start_location: { lat: 51.7 + i * 0.01, lng: -1.25 },
+    end_location: { lat: 51.71 + i * 0.01, lng: -1.25 },
+    html_instructions: 'At the roundabout, take the <b>2nd</b> exit onto <b>A40</b>',
+    maneuver: 'roundabout-left',
+    distance: { value: 1100, text: '1.1 km' },
+  }));
+  return RouteProviders.fromGoogle({ routes: [{ legs: [{ distance: { value: count * 1100 }, steps }] }] });
+}
+
+test('oxford-a40-m40: selected steps, scores and reasons', () => {
+  const points = RouteAnalyzer.analyze(loadFixture('oxford-a40-m40'));
+
+  assert.deepEqual(pick(points), [
+    { stepIndex: 0, score: 2,  reasons: ['signage'] },
+    { stepIndex: 1, score: 14, reasons: ['lane-commitment', 'roundabout', 'roundabout-exit', 'signage'] },
+    { stepIndex: 2, score: 8,  reasons: ['lane-commitment', 'signage'] },
+    { stepIndex: 3, score: 14, reasons: ['lane-commitment', 'roundabout', 'roundabout-exit', 'signage'] },
+    { stepIndex: 4, score: 8,  reasons: ['lane-commitment', 'signage'] },
+    { stepIndex: 5, score: 0,  reasons: ['motorway-cruise', 'lead-in'] },
+    { stepIndex: 6, score: 12, reasons: ['lane-commitment', 'short-window', 'signage'] },
+    { stepIndex: 7, score: 0,  reasons: ['lead-in'] },
+    { stepIndex: 8, score: 2,  reasons: ['signage'] },
+  ]);
+});
+
+test('oxford-a40-m40: Headington Roundabout stays a high-commitment decision point', () => {
+  const points = RouteAnalyzer.analyze(loadFixture('oxford-a40-m40'));
+  const headington = points.find(pt => pt.instruction.startsWith('At Headington Roundabout'));
+
+  assert.ok(headington, 'Headington Roundabout was dropped');
+  assert.equal(headington.type, 'roundabout');
+  assert.equal(headington.commitmentLevel, 'high');
+  assert.equal(headington.isDecisionPoint, true);
+});
+
+test('cambridge-town-centre: selected steps, scores and reasons', () => {
+  const points = RouteAnalyzer.analyze(loadFixture('cambridge-town-centre'));
+
+  assert.deepEqual(pick(points), [
+    { stepIndex: 0, score: 0, reasons: ['lead-in'] },
+    { stepIndex: 1, score: 1, reasons: ['roundabout', 'small-roundabout'] },
+    { stepIndex: 2, score: 0, reasons: ['lead-in'] },
+    { stepIndex: 3, score: 3, reasons: ['sharp-angle'] },
+    { stepIndex: 4, score: 3, reasons: ['dog-leg', 'lead-in'] },
+    { stepIndex: 5, score: 9, reasons: ['lane-commitment', 'signage', 'pressure'] },
+    { stepIndex: 6, score: 2, reasons: ['signage'] },
+  ]);
+});
+
+test('cambridge-town-centre: geometry finds the sharp turn Google calls "Turn right"', () => {
+  const points = RouteAnalyzer.analyze(loadFixture('cambridge-town-centre'));
+  const peasHill = points.find(pt => pt.stepIndex === 3);
+
+  assert.equal(peasHill.instruction, 'Turn right onto Peas Hill');
+  assert.equal(peasHill.type, 'sharp-turn');
+  assert.equal(peasHill.turnAngle, 140);
+});
+
+test('instructions are stripped of HTML and entities without a DOM', () => {
+  const points = RouteAnalyzer.analyze(loadFixture('cambridge-town-centre'));
+
+  assert.equal(points[1].instruction, "At the mini-roundabout, go straight on onto King's Parade");
+  assert.equal(points[6].instruction, 'Slight left onto Newmarket Rd/A1134 towards Ely & Newmarket');
+});
+
+test('numeric entities past the last code point are left as written', () => {
+  const result = RouteProviders.fromGoogle({ routes: [{ legs: [{ distance: { value: 1100 }, steps: [{
+    start_location: { lat: 51.7, lng: -1.25 },
+    end_location: { lat: 51.71, lng: -1.25 },
+    html_instructions: 'At the roundabout, take the <b>2nd</b> exit &#8594; <b>A40</b> &#99999999; &#x110000;',
+    maneuver: 'roundabout-left',
+    distance: { value: 1100, text: '1.1 km' },
+  }] }] }] });
+
+  assert.equal(RouteAnalyzer.analyze(result)[0].instruction, 'At the roundabout, take the 2nd exit → A40 &#99999999; &#x110000;');
+});
+
+test('profiles change how many points are selected', () => {
+  const result = loadFixture('oxford-a40-m40');
+  const learner = RouteAnalyzer.analyze(result, { profile: 'learner' });
+  const confident = RouteAnalyzer.analyze(result, { profile: 'confident' });
+
+  assert.ok(learner.filter(pt => pt.isDecisionPoint).length >=
+    confident.filter(pt => pt.isDecisionPoint).length);
+  assert.ok(confident.length <= 8);
+});
+
+test('a route without distances still selects within the profile\'s limits', () => {
+  const result = longRoundaboutRoute(20);
+  result.routes[0].legs[0].distanceMeters = 0;
+
+  assert.equal(RouteAnalyzer.analyze(result, { profile: { minTargetPoints: 10, maxTargetPoints: 12 } }).length, 10);
+  assert.equal(RouteAnalyzer.analyze(result, { profile: { minTargetPoints: 2, maxTargetPoints: 4 } }).length, 4);
+});
+
+test('route rating', () => {
+  const result = loadFixture('oxford-a40-m40');
+  const rating = RouteAnalyzer.rate(RouteAnalyzer.scoreRoute(result), result.routes[0]);
+
+  assert.equal(rating.score, 51);
+  assert.equal(rating.label, 'Challenging');
+  assert.equal(rating.density.values.length, 17);
+});
+
+test('route comparison counts every junction, not just the rehearsed ones', () => {
+  const [option] = RouteAnalyzer.analyzeAll(longRoundaboutRoute(30));
+
+  assert.ok(option.points.length < 30);
+  assert.equal(option.steps.length, 30);
+  assert.equal(option.summary.junctionCount, 30);
+  assert.equal(option.summary.roundaboutCount, 30);
+  assert.equal(option.summary.highCommitmentCount, 30);
+});
+
+test('route rating and density chart cover junctions beyond the rehearsal cap', () => {
+  const result = longRoundaboutRoute(30);
+  const steps = RouteAnalyzer.scoreRoute(result);
+  const rating = RouteAnalyzer.rate(steps, result.routes[0]);
+  const total = steps.reduce((sum, step) => sum + step.score, 0);
+
+  assert.equal(rating.density.values.reduce((sum, value) => sum + value, 0), total);
+  assert.equal(rating.breakdown.find(item => item.id === 'roundabout-exit').count, 30);
+  assert.ok(rating.score > RouteAnalyzer.rate(RouteAnalyzer.analyze(result), result.routes[0]).score);
+});
+
+test('decodePolyline matches the reference example', () => {
+  assert.deepEqual(RouteProviders.decodePolyline('_p~iF~ps|U_ulLnnqC_mqNvxq`@', 5), [
+    { lat: 38.5, lng: -120.2 },
+    { lat: 40.7, lng: -120.95 },
+    { lat: 43.252, lng: -126.453 },
+  ]);
+});
+
+test('French instructions are scored with the French pattern pack', () => {
+  const result = RouteProviders.fromGoogle({
+    routes: [{
+      legs: [{
+        distance: { value: 2000 },
+        steps: [
+          {
+            start_location: { lat: 48.85, lng: 2.35 },
+            end_location: { lat: 48.855, lng: 2.35 },
+            html_instructions: 'Prendre la direction <b>nord</b> sur <b>Rue de Rivoli</b>',
+            distance: { value: 600, text: '600 m' },
+          },
+          {
+            start_location: { lat: 48.855, lng: 2.35 },
+            end_location: { lat: 48.855, lng: 2.36 },
+            html_instructions: 'Au rond-point, prendre la <b>2e</b> sortie sur <b>A6</b> en direction de <b>Lyon</b>',
+            maneuver: 'roundabout-right',
+            distance: { value: 1400, text: '1,4 km' },
+          },
+        ],
+      }],
+    }],
+  }, { language: 'fr' });
+
+  const roundabout = RouteAnalyzer.analyze(result).find(pt => pt.stepIndex === 1);
+
+  assert.equal(roundabout.type, 'roundabout');
+  assert.equal(roundabout.exitNumber, 2);
+  assert.deepEqual(roundabout.reasons, ['lane-commitment', 'roundabout', 'roundabout-exit', 'signage']);
+});
+
+test('driving side comes from the destination country unless set', () => {
+  const result = loadFixture('oxford-a40-m40');
+  const route = result.routes[0];
+
+  assert.equal(RouteAnalyzer.getDrivingSide(route), 'left');
+  assert.equal(RouteAnalyzer.analyze(result)[0].drivingSide, 'left');
+  assert.equal(RouteAnalyzer.analyze(result, { drivingSide: 'right' })[0].drivingSide, 'right');
+
+  const lastLeg = route.legs[route.legs.length - 1];
+  assert.equal(RouteAnalyzer.getDrivingSide({ legs: [{ ...lastLeg, endAddress: '69002 Lyon, France' }] }), 'right');
+  assert.equal(RouteAnalyzer.getDrivingSide({ legs: [{ ...lastLeg, startAddress: '', endAddress: '' }] }), 'left');
+});
+
+test('addresses that name no known country fall back to the coordinates', () => {
+  const lastLeg = loadFixture('oxford-a40-m40').routes[0].legs.slice(-1)[0];
+  const endingIn = endAddress => RouteAnalyzer.getDrivingSide({ legs: [{ ...lastLeg, startAddress: '', endAddress }] });
+
+  assert.equal(endingIn('51.775, -1.254'), 'left');
+  assert.equal(endingIn('Headington, Oxford'), 'left');
+  assert.equal(endingIn('Headington, Narnia'), 'left');
+  assert.equal(endingIn('Oxford OX3, Royaume-Uni'), 'left');
+  assert.equal(endingIn('Mumbai, Maharashtra, Inde'), 'left');
+  assert.equal(endingIn('69002 Lyon, Frankreich'), 'right');
+});
+
+test('a Valhalla route through Oxford drives on the left', () => {
+  const result = RouteProviders.fromValhalla(require('./fixtures/valhalla-oxford-cutteslowe.json'));
+
+  assert.equal(RouteAnalyzer.getDrivingSide(result.routes[0]), 'left');
+  assert.ok(RouteAnalyzer.analyze(result).every(pt => pt.drivingSide === 'left'));
+});
+
+test('driving side from coordinates keeps northern France on the right', () => {
+  const endingAt = (lat, lng) => ({ legs: [{ startAddress: '', endAddress: '', steps: [{ end: { lat, lng } }] }] });
+
+  assert.equal(RouteAnalyzer.getDrivingSide(endingAt(50.951, 1.858)), 'right');   // Calais
+  assert.equal(RouteAnalyzer.getDrivingSide(endingAt(50.726, 1.613)), 'right');   // Boulogne-sur-Mer
+  assert.equal(RouteAnalyzer.getDrivingSide(endingAt(49.923, 1.078)), 'right');   // Dieppe
+  assert.equal(RouteAnalyzer.getDrivingSide(endingAt(51.127, 1.313)), 'left');    // Dover
+  assert.equal(RouteAnalyzer.getDrivingSide(endingAt(50.118, -5.537)), 'left');   // Penzance
+  assert.equal(RouteAnalyzer.getDrivingSide(endingAt(54.597, -5.930)), 'left');   // Belfast
+  assert.equal(RouteAnalyzer.getDrivingSide(endingAt(51.898, -8.471)), 'left');   // Cork
+});
+
+test('each point itemizes the factors behind its score', () => {
+  const points = RouteAnalyzer.analyze(loadFixture('oxford-a40-m40'));
+  points.forEach(pt => {
+    assert.equal(pt.factors.reduce((sum, factor) => sum + factor.points, 0), pt.score);
+  });
+
+  const headington = points.find(pt => pt.stepIndex === 1);
+  assert.deepEqual(headington.factors, [
+    { reason: 'lane-commitment', points: 6, matched: 'exit' },
+    { reason: 'roundabout',      points: 4, matched: 'Roundabout' },
+    { reason: 'roundabout-exit', points: 2, matched: '2nd exit' },
+    { reason: 'signage',         points: 2, matched: 'A40' },
+  ]);
+});
+
+test('decision points carry an approach along the road', () => {
+  const points = RouteAnalyzer.analyze(loadFixture('oxford-a40-m40'));
+  const headington = points.find(pt => pt.stepIndex === 1);
+
+  assert.deepEqual(headington.approach.map(frame => frame.metersBefore),
+    [300, 270, 240, 210, 180, 150, 120, 90, 60, 30]);
+  assert.ok(headington.approach.every(frame => frame.heading === 60));
+  assert.ok(points.filter(pt => !pt.isDecisionPoint).every(pt => pt.approach.length === 0));
+
+  const short = RouteAnalyzer.analyze(loadFixture('oxford-a40-m40'), { approachMeters: 100, approachSpacingMeters: 10 });
+  assert.deepEqual(short.find(pt => pt.stepIndex === 1).approach.map(frame => frame.metersBefore),
+    [200, 180, 160, 140, 120, 100, 80, 60, 40, 20]);
+});
@@ -0,0 +1,173 @@
+/**
+ * RouteProviders adapter tests.
+ * Fixtures are OSRM and Valhalla responses for the same drive through the
+ * Cutteslowe Roundabout in Oxford, so both adapters are held to one model.
+ * Run with: node --test test/
+ */
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const RouteAnalyzer = require('../js/route-analyzer.js');
+const RouteProviders = require('../js/route-providers.js');
+
+const osrm = require('./fixtures/osrm-oxford-cutteslowe.json');
+const valhalla = require('./fixtures/valhalla-oxford-cutteslowe.json');
+
+// The shape both fixtures follow, from Marston Ferry Road to the A44
+const SHAPE = [
+  { lat: 51.775, lng: -1.254 },
+  { lat: 51.7752, lng: -1.26 },
+  { lat: 51.7755, lng: -1.264 },
+  { lat: 51.78, lng: -1.2655 },
+  { lat: 51.785, lng: -1.2668 },
+  { lat: 51.7856, lng: -1.2675 },
+  { lat: 51.786, lng: -1.269 },
+  { lat: 51.7858, lng: -1.276 },
+  { lat: 51.787, lng: -1.29 },
+];
+
+function pick(steps) {
+  return steps.map(step => ({
+    maneuver: step.maneuver,
+    instructionHtml: step.instructionHtml,
+    distanceMeters: step.distanceMeters,
+    durationSeconds: step.durationSeconds,
+  }));
+}
+
+function fakeFetch(t, status, body) {
+  t.mock.method(global, 'fetch', async () => ({
+    ok: status >= 200 && status < 300,
+    status,
+    json: async () => JSON.parse(body),
+    text: async () => body,
+  }));
+}
+
+test('osrm: steps, maneuvers and built instructions', () => {
+  const result = RouteProviders.fromOsrm(osrm);
+  const route = result.routes[0];
+  const leg = route.legs[0];
+
+  assert.equal(result.provider, 'osrm');
+  assert.equal(result.language, 'en');
+  assert.equal(route.summary, 'Banbury Road, Northern By-Pass Road');
+  assert.equal(leg.startAddress, 'Marston Ferry Road');
+  assert.equal(leg.endAddress, '');
+  assert.equal(leg.distanceMeters, 3423);
+  assert.equal(leg.durationSeconds, 290);
+  assert.deepEqual(pick(leg.steps), [
+    { maneuver: null, instructionHtml: 'Head <b>west</b> on <b>Marston Ferry Road</b>', distanceMeters: 760, durationSeconds: 70 },
+    { maneuver: 'turn-right', instructionHtml: 'Turn <b>right</b> onto <b>Banbury Road (A4165)</b>', distanceMeters: 1062, durationSeconds: 95 },
+    { maneuver: 'roundabout-right', instructionHtml: 'At the roundabout, take the <b>2nd</b> exit onto <b>Northern By-Pass Road (A40)</b>', distanceMeters: 620, durationSeconds: 49 },
+    { maneuver: 'ramp-left', instructionHtml: 'Take the exit on the left towards <b>A44: Woodstock</b>', distanceMeters: 981, durationSeconds: 76 },
+    { maneuver: null, instructionHtml: 'Arrive at your destination', distanceMeters: 0, durationSeconds: 0 },
+  ]);
+});
+
+test('osrm: step geometry is decoded and joins up', () => {
+  const steps = RouteProviders.fromOsrm(osrm).routes[0].legs[0].steps;
+
+  assert.deepEqual(steps[0].path, SHAPE.slice(0, 3));
+  assert.deepEqual(steps[2].path, SHAPE.slice(4, 8));
+  assert.deepEqual(steps[2].start, SHAPE[4]);
+  assert.deepEqual(steps[2].end, SHAPE[7]);
+  for (let i = 1; i < steps.length; i++) {
+    assert.deepEqual(steps[i].start, steps[i - 1].end);
+  }
+  assert.deepEqual(steps[4].path, [SHAPE[8], SHAPE[8]]);
+});
+
+test('osrm: an error response throws', () => {
+  assert.throws(
+    () => RouteProviders.fromOsrm({ code: 'NoRoute', message: 'Impossible route between points' }),
+    /OSRM: Impossible route between points/
+  );
+});
+
+test('valhalla: steps, maneuvers and alternates', () => {
+  const result = RouteProviders.fromValhalla(valhalla);
+  const leg = result.routes[0].legs[0];
+
+  assert.equal(result.provider, 'valhalla');
+  assert.equal(result.language, 'en-GB');
+  assert.equal(leg.startAddress, '');
+  assert.equal(leg.endAddress, 'Woodstock Road');
+  assert.equal(leg.distanceMeters, 3422);
+  assert.equal(leg.durationSeconds, 290);
+  assert.deepEqual(pick(leg.steps), [
+    { maneuver: null, instructionHtml: 'Drive west on Marston Ferry Road.', distanceMeters: 760, durationSeconds: 70 },
+    { maneuver: 'turn-right', instructionHtml: 'Turn right onto Banbury Road/A4165.', distanceMeters: 1062, durationSeconds: 95 },
+    { maneuver: 'roundabout-right', instructionHtml: 'Enter the roundabout and take the 2nd exit onto A40.', distanceMeters: 215, durationSeconds: 20 },
+    { maneuver: null, instructionHtml: 'Exit the roundabout onto Northern By-Pass Road/A40.', distanceMeters: 405, durationSeconds: 28 },
+    { maneuver: 'ramp-left', instructionHtml: 'Take the A44 exit on the left toward Woodstock &amp; Blenheim.', distanceMeters: 980, durationSeconds: 76 },
+    { maneuver: null, instructionHtml: 'You have arrived at your destination.', distanceMeters: 0, durationSeconds: 0 },
+  ]);
+
+  assert.equal(result.routes.length, 2);
+  assert.deepEqual(result.routes[1].legs[0].steps.map(step => step.maneuver), [null, 'turn-left', null]);
+});
+
+test('valhalla: unnamed stops leave the driving side to the coordinates', () => {
+  const route = RouteProviders.fromValhalla(valhalla).routes[0];
+
+  assert.equal(route.legs[0].startAddress, '');
+  assert.equal(RouteAnalyzer.getDrivingSide(route), 'left');
+  assert.equal(RouteAnalyzer.getDrivingSide(RouteProviders.fromOsrm(osrm).routes[0]), 'left');
+});
+
+test('valhalla: maneuvers take their slice of the leg shape', () => {
+  const steps = RouteProviders.fromValhalla(valhalla).routes[0].legs[0].steps;
+
+  assert.deepEqual(steps[0].path, SHAPE.slice(0, 3));
+  assert.deepEqual(steps[2].path, SHAPE.slice(4, 7));
+  assert.deepEqual(steps[3].start, SHAPE[6]);
+  assert.deepEqual(steps[3].end, SHAPE[7]);
+  assert.deepEqual(steps[5].path, [SHAPE[8], SHAPE[8]]);
+});
+
+test('valhalla: distances in miles are converted to meters', () => {
+  const inMiles = structuredClone(valhalla);
+  inMiles.trip.units = 'miles';
+  inMiles.trip.legs[0].summary.length = 2;
+  inMiles.trip.legs[0].maneuvers[1].length = 0.5;
+
+  const leg = RouteProviders.fromValhalla(inMiles).routes[0].legs[0];
+
+  assert.equal(leg.distanceMeters, 3219);
+  assert.equal(leg.steps[1].distanceMeters, 805);
+  assert.equal(leg.steps[1].distanceText, '805 m');
+});
+
+test('roundabout exits from either provider are scored like Google\'s', () => {
+  for (const result of [RouteProviders.fromOsrm(osrm), RouteProviders.fromValhalla(valhalla)]) {
+    const roundabout = RouteAnalyzer.scoreRoute(result).find(step => step.stepIndex === 2);
+
+    assert.equal(roundabout.type, 'roundabout', result.provider);
+    assert.ok(roundabout.reasons.includes('roundabout-exit'), result.provider);
+  }
+});
+
+test('requests throw on an HTTP error instead of reading it as a route', async t => {
+  const coordinates = [SHAPE[0], SHAPE[8]];
+
+  fakeFetch(t, 400, '{"code":"NoRoute","message":"Impossible route between points"}');
+  await assert.rejects(
+    RouteProviders.requestOsrm({ baseUrl: 'http://localhost:5000/', coordinates }),
+    { message: 'OSRM: HTTP 400 (Impossible route between points)' }
+  );
+
+  fakeFetch(t, 502, '<html><body>Bad Gateway</body></html>');
+  await assert.rejects(
+    RouteProviders.requestValhalla({ baseUrl: 'http://localhost:8002', coordinates }),
+    { message: 'Valhalla: HTTP 502' }
+  );
+});
+
+test('requests normalize a successful response', async t => {
+  fakeFetch(t, 200, JSON.stringify(valhalla));
+
+  const result = await RouteProviders.requestValhalla({ baseUrl: 'http://localhost:8002', coordinates: [SHAPE[0], SHAPE[8]] });
+
+  assert.equal(result.routes[0].legs[0].steps.length, 6);
+});